@@ -0,0 +1,605 @@
+import fs from 'fs';
+import natural from 'natural';
+import stopwordPkg from 'stopword';
+import morpha from 'morpha';
+
+/**
+ * Text analysis per language: how text is cut into words, which stopwords
+ * are dropped and how words are reduced to terms. `legacy` is the
+ * English-only analysis of indexes built before the analysis was recorded;
+ * it only keeps ASCII letters and digits.
+ */
+const LANGUAGE_SETTINGS = {
+  en: { name: 'English', stopwords: stopwordPkg.eng, stem: lemmatize },
+  fr: { name: 'French', stopwords: stopwordPkg.fra, stem: natural.PorterStemmerFr },
+  de: { name: 'German', stopwords: stopwordPkg.deu, stem: natural.PorterStemmerDe },
+  es: { name: 'Spanish', stopwords: stopwordPkg.spa, stem: natural.PorterStemmerEs },
+  it: { name: 'Italian', stopwords: stopwordPkg.ita, stem: natural.PorterStemmerIt },
+  pt: { name: 'Portuguese', stopwords: stopwordPkg.por, stem: natural.PorterStemmerPt },
+  nl: { name: 'Dutch', stopwords: stopwordPkg.nld, stem: natural.PorterStemmerNl },
+  sv: { name: 'Swedish', stopwords: stopwordPkg.swe, stem: natural.PorterStemmerSv },
+  no: { name: 'Norwegian', stopwords: stopwordPkg.nob, stem: natural.PorterStemmerNo },
+  ru: { name: 'Russian', stopwords: stopwordPkg.rus, stem: natural.PorterStemmerRu },
+  uk: { name: 'Ukrainian', stopwords: stopwordPkg.ukr, stem: natural.PorterStemmerUk },
+  fa: { name: 'Persian', stopwords: stopwordPkg.fas, stem: natural.PorterStemmerFa },
+  id: { name: 'Indonesian', stopwords: stopwordPkg.ind, stem: natural.StemmerId },
+  ar: { name: 'Arabic', stopwords: stopwordPkg.ara },
+  // Greek is compared without accents, as people often type it
+  el: { name: 'Greek', stopwords: stopwordPkg.ell, fold: true },
+  zh: { name: 'Chinese', stopwords: stopwordPkg.zho },
+  ja: { name: 'Japanese', stopwords: stopwordPkg.jpn },
+  ko: { name: 'Korean', stopwords: stopwordPkg.kor },
+  standard: { name: 'Any language (no stopwords or stemming)', stopwords: [] }
+};
+
+/**
+ * Languages that can be chosen for an index, as ISO 639-1 codes, plus
+ * `standard`, which only lowercases and splits words
+ * @type {string[]}
+ */
+export const LANGUAGES = Object.keys(LANGUAGE_SETTINGS);
+
+// Words of any script; marks are kept so accented letters stay in their word
+const WORD = /[\p{L}\p{M}\p{N}_]+/gu;
+const LEGACY_WORD = /[A-Za-z0-9_]+/g;
+
+// Scripts written without spaces between words, indexed as overlapping character pairs
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// Settings of an analysis config file (see loadAnalysisConfig)
+const CONFIG_KEYS = ['synonyms', 'protected', 'stopwords', 'expansion'];
+
+const analyzers = new Map();
+// Analyzers and synonym rules of each analysis config, per language
+const configured = new WeakMap();
+const stopwordSets = new Map();
+
+/**
+ * Gets the analyzer of a language
+ * @param {string} [language='legacy'] - Language code (see LANGUAGES), or 'legacy'
+ * @param {Object|null} [config] - Analysis config adding protected terms and stopword changes
+ *   (see normalizeAnalysisConfig)
+ * @returns {{language: string, tokenize: function(string): string[],
+ *   tokenizeWithOffsets: function(string): Array<Object>, preprocess: function(string): string}} The analyzer
+ */
+export function getAnalyzer(language = 'legacy', config = null) {
+  if (language !== 'legacy' && !LANGUAGE_SETTINGS[language]) {
+    throw new Error(`Unknown language '${language}' (available: ${LANGUAGES.join(', ')})`);
+  }
+  const cache = config ? configuredCache(config).analyzers : analyzers;
+  if (!cache.has(language)) {
+    const stopwords = config ? adjustStopwords(language, config.stopwords) : getStopwords(language === 'legacy' ? 'en' : language);
+    const analyzer = language === 'legacy' ? createLegacyAnalyzer(stopwords) : createAnalyzer(language, stopwords);
+    cache.set(language, config ? protectTerms(analyzer, config.protected) : analyzer);
+  }
+  return cache.get(language);
+}
+
+/**
+ * Analyzes text into index terms: lowercased, tokenized, stopwords removed
+ * and stemmed or lemmatized. Indexing and searching must use the same
+ * analysis so query terms match document terms.
+ * @param {string} text - The text to analyze
+ * @param {string} [language='legacy'] - Language of the text (see getAnalyzer)
+ * @param {Object|null} [config] - Analysis config of the index (see getAnalyzer)
+ * @returns {string[]} Analyzed terms
+ */
+export function tokenize(text, language, config) {
+  return getAnalyzer(language, config).tokenize(text);
+}
+
+/**
+ * Analyzes text like tokenize, keeping the position of the word each term
+ * comes from, e.g. to highlight matches in the original text
+ * @param {string} text - The text to analyze
+ * @param {string} [language='legacy'] - Language of the text (see getAnalyzer)
+ * @param {Object|null} [config] - Analysis config of the index (see getAnalyzer)
+ * @returns {Array<{term: string, start: number, end: number}>} Analyzed terms with the
+ *   character offsets of their words in the text
+ */
+export function tokenizeWithOffsets(text, language, config) {
+  return getAnalyzer(language, config).tokenizeWithOffsets(text);
+}
+
+/**
+ * Preprocesses text for embedding, indexing and searching: the analyzed
+ * terms, except that text in scripts without spaces is kept whole rather
+ * than cut into character pairs
+ * @param {string} text - The text to preprocess
+ * @param {string} [language='legacy'] - Language of the text (see getAnalyzer)
+ * @param {Object|null} [config] - Analysis config of the index (see getAnalyzer)
+ * @returns {string} Preprocessed text
+ */
+export function preprocessText(text, language, config) {
+  return getAnalyzer(language, config).preprocess(text);
+}
+
+/**
+ * Finds the terms that synonym rules add to analyzed query terms. A rule
+ * applies when the terms of one of its phrases appear in a row in the query.
+ * @param {string[]} terms - Analyzed query terms, in query order
+ * @param {string} language - Language the terms were analyzed in
+ * @param {Object|null} config - Analysis config holding the rules (see normalizeAnalysisConfig)
+ * @returns {string[]} Analyzed terms of the synonyms, without those already in the query
+ */
+export function synonymTerms(terms, language, config) {
+  if (!config || config.synonyms.length === 0) return [];
+  const cache = configuredCache(config).synonyms;
+  if (!cache.has(language)) {
+    const analyze = phrase => tokenize(phrase, language, config);
+    cache.set(language, config.synonyms.map(parseSynonymRule).map(({ from, to }) => ({
+      from: from.map(analyze).filter(phrase => phrase.length > 0),
+      to: to.map(analyze)
+    })));
+  }
+
+  const contains = phrase => terms.some((_, i) => phrase.every((term, j) => terms[i + j] === term));
+  const added = new Set();
+  for (const { from, to } of cache.get(language)) {
+    if (!from.some(contains)) continue;
+    for (const term of to.flat()) added.add(term);
+  }
+  return [...added].filter(term => !terms.includes(term));
+}
+
+/**
+ * Loads an analysis config file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} The config (see normalizeAnalysisConfig)
+ */
+export function loadAnalysisConfig(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read the analysis config from ${filePath}: ${error.message}`);
+  }
+  return normalizeAnalysisConfig(raw);
+}
+
+/**
+ * Checks an analysis config and fills in its defaults
+ * @param {Object} raw - The config
+ * @param {Array<string|string[]>} [raw.synonyms=[]] - Synonym rules: 'ml, machine learning' makes
+ *   the phrases equivalent, 'nlp => natural language processing' adds the right-hand phrases
+ *   to queries with a left-hand one; an array of phrases is an equivalence
+ * @param {string[]} [raw.protected=[]] - Terms kept whole, in any case: not split, stemmed or
+ *   removed as stopwords
+ * @param {{add: string[], remove: string[]}} [raw.stopwords] - Words to drop in addition to the
+ *   language's stopwords, and stopwords to keep
+ * @param {boolean} [raw.expansion=true] - Whether queries are expanded with WordNet and Word2Vec
+ * @returns {{synonyms: string[], protected: string[], stopwords: {add: string[], remove: string[]},
+ *   expansion: boolean}} The config, with synonym rules written as text
+ */
+export function normalizeAnalysisConfig(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('The analysis config must be a JSON object');
+  }
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      throw new Error(`Unknown analysis setting '${key}' (available: ${CONFIG_KEYS.join(', ')})`);
+    }
+  }
+  const strings = (value, name) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+      throw new Error(`Analysis setting '${name}' must be a list of words`);
+    }
+    return value.map(item => item.trim());
+  };
+
+  const { stopwords = {} } = raw;
+  if (typeof stopwords !== 'object' || Array.isArray(stopwords) || Object.keys(stopwords).some(key => !['add', 'remove'].includes(key))) {
+    throw new Error('Analysis setting \'stopwords\' must be an object with \'add\' and \'remove\' lists');
+  }
+  if (raw.expansion !== undefined && typeof raw.expansion !== 'boolean') {
+    throw new Error('Analysis setting \'expansion\' must be true or false');
+  }
+  if (raw.synonyms !== undefined && !Array.isArray(raw.synonyms)) {
+    throw new Error('Analysis setting \'synonyms\' must be a list of rules');
+  }
+
+  return {
+    synonyms: (raw.synonyms || []).map(rule => formatSynonymRule(parseSynonymRule(rule))),
+    protected: strings(raw.protected, 'protected'),
+    stopwords: { add: strings(stopwords.add, 'stopwords.add'), remove: strings(stopwords.remove, 'stopwords.remove') },
+    expansion: raw.expansion ?? true
+  };
+}
+
+/**
+ * Normalizes the text analysis settings of an index
+ * @param {Object} [options] - Indexing options
+ * @param {string} [options.language='en'] - Language of the entries, or 'auto' to detect it per entry
+ * @param {string} [options.languageField] - Path of the entry field naming its language; entries
+ *   without a known language there fall back to `language`
+ * @param {Object} [options.analysisConfig] - Synonyms, protected terms, stopword changes and
+ *   query expansion setting (see normalizeAnalysisConfig)
+ * @returns {{language: string, languageField: string|null, config: Object|null}} Settings for the
+ *   index metadata
+ */
+export function resolveAnalysis({ language = 'en', languageField, analysisConfig } = {}) {
+  if (language !== 'auto' && !LANGUAGE_SETTINGS[language]) {
+    throw new Error(`Unknown language '${language}' (available: auto, ${LANGUAGES.join(', ')})`);
+  }
+  return {
+    language,
+    languageField: languageField || null,
+    config: analysisConfig ? normalizeAnalysisConfig(analysisConfig) : null
+  };
+}
+
+/**
+ * Gets the text analysis settings recorded in index metadata
+ * @param {Object} metadata - Index metadata
+ * @returns {{language: string, languageField: string|null, languages: string[], config: Object|null}}
+ *   The settings; `languages` lists the languages of the indexed entries
+ */
+export function indexAnalysis(metadata) {
+  // Indexes built before analyzers were recorded used English-only analysis
+  const analysis = metadata.analysis || { language: 'legacy', languageField: null };
+  return { ...analysis, languages: analysis.languages || [analysis.language], config: analysis.config || null };
+}
+
+/**
+ * Whether two analysis configs analyze text into the same terms. Synonyms
+ * and query expansion only apply to queries, so they may differ.
+ * @param {Object|null} a - First config
+ * @param {Object|null} b - Second config
+ * @returns {boolean} True if entries would be analyzed the same
+ */
+export function sameIndexAnalysis(a, b) {
+  const indexed = config => JSON.stringify(config ? { protected: config.protected, stopwords: config.stopwords } : null);
+  return indexed(a) === indexed(b);
+}
+
+/**
+ * Whether entries of an index may each have their own language
+ * @param {Object} analysis - Analysis settings
+ * @returns {boolean} True if languages are read or detected per entry
+ */
+export function isMultilingual(analysis) {
+  return analysis.language === 'auto' || Boolean(analysis.languageField);
+}
+
+/**
+ * Turns a language name or tag such as 'French', 'fr' or 'pt-BR' into a
+ * supported language code
+ * @param {any} value - Language as found in an entry
+ * @returns {string|null} The code, or null if the language is not supported
+ */
+export function normalizeLanguage(value) {
+  if (typeof value !== 'string') return null;
+  const tag = value.trim().toLowerCase();
+  const code = tag.split(/[-_]/)[0];
+  if (LANGUAGE_SETTINGS[code]) return code;
+  const named = LANGUAGES.find(language => LANGUAGE_SETTINGS[language].name.toLowerCase() === tag);
+  return named || null;
+}
+
+/**
+ * Guesses the language of a text: from its script where that decides it,
+ * otherwise from the language whose stopwords it uses most
+ * @param {string} text - The text
+ * @param {string[]} [candidates] - Languages to choose from (default: all)
+ * @returns {string} Language code; 'standard' if no candidate fits
+ */
+export function detectLanguage(text, candidates = LANGUAGES) {
+  const sample = (text || '').slice(0, 2000);
+  const allowed = candidates.filter(language => LANGUAGE_SETTINGS[language]);
+  const count = pattern => (sample.match(pattern) || []).length;
+
+  // Kana and Hangul settle Japanese and Korean; Han alone means Chinese
+  const scripts = [
+    ['ja', count(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu)],
+    ['ko', count(/\p{Script=Hangul}/gu)],
+    ['zh', count(/\p{Script=Han}/gu)],
+    ['el', count(/\p{Script=Greek}/gu)]
+  ].filter(([language, letters]) => letters > 0 && allowed.includes(language));
+  const letters = count(/\p{L}/gu);
+  for (const [language, found] of scripts) {
+    if (found >= letters * 0.3) return language;
+  }
+
+  const words = sample.toLowerCase().match(WORD) || [];
+  let best = null;
+  let bestHits = 0;
+  for (const language of allowed) {
+    const stopwords = getStopwords(language);
+    const hits = words.filter(word => stopwords.has(word)).length;
+    if (hits > bestHits) {
+      best = language;
+      bestHits = hits;
+    }
+  }
+  return best || (allowed.includes('standard') || allowed.length === 0 ? 'standard' : allowed[0]);
+}
+
+/**
+ * Finds the language an entry is analyzed in
+ * @param {{language: string, languageField: string|null}} analysis - Analysis settings
+ * @param {any} languageValue - Value of the entry's language field, if the index has one
+ * @param {string} text - The entry's text, for detection
+ * @returns {string} Language code
+ */
+export function entryLanguage(analysis, languageValue, text) {
+  const named = analysis.languageField ? normalizeLanguage(languageValue) : null;
+  if (named) return named;
+  return analysis.language === 'auto' ? detectLanguage(text) : analysis.language;
+}
+
+/**
+ * Creates the analyzer of a language
+ * @param {string} language - Language code
+ * @param {Set<string>} stopwords - Normalized words to drop
+ * @returns {Object} The analyzer (see getAnalyzer)
+ */
+function createAnalyzer(language, stopwords) {
+  const { stem } = LANGUAGE_SETTINGS[language];
+
+  const normalize = word => {
+    return normalizeWord(word, language);
+  };
+  const reduce = word => {
+    if (!stem) return word;
+    try {
+      return typeof stem === 'function' ? stem(word) : stem.stem(word);
+    } catch (error) {
+      return word;
+    }
+  };
+
+  // Words and, in scripts without spaces, runs of characters
+  const splitWords = text => {
+    const words = [];
+    for (const match of (text || '').matchAll(WORD)) {
+      for (const run of splitRuns(match[0])) {
+        words.push({ ...run, start: match.index + run.start, end: match.index + run.end });
+      }
+    }
+    return words;
+  };
+
+  const tokenizeWithOffsets = text => {
+    const terms = [];
+    for (const { text: word, cjk, start, end } of splitWords(text)) {
+      if (cjk) {
+        for (const pair of characterPairs(word, start)) terms.push(pair);
+        continue;
+      }
+      const normalized = normalize(word);
+      if (!stopwords.has(normalized)) {
+        terms.push({ term: reduce(normalized), start, end });
+      }
+    }
+    return terms;
+  };
+
+  return {
+    language,
+    tokenize: text => tokenizeWithOffsets(text).map(({ term }) => term),
+    tokenizeWithOffsets,
+    preprocess: text => splitWords(text)
+      .map(({ text: word, cjk }) => {
+        if (cjk) return word;
+        const normalized = normalize(word);
+        return stopwords.has(normalized) ? null : reduce(normalized);
+      })
+      .filter(Boolean)
+      .join(' ')
+  };
+}
+
+/**
+ * Creates the English-only analyzer of indexes built before the analysis
+ * was recorded, which keeps their terms as they were
+ * @param {Set<string>} stopwords - Lowercase words to drop
+ * @returns {Object} The analyzer (see getAnalyzer)
+ */
+function createLegacyAnalyzer(stopwords) {
+  const tokenizeLegacy = text => {
+    if (!text) return [];
+    const words = text.toLowerCase().match(LEGACY_WORD) || [];
+    return words.filter(word => !stopwords.has(word)).map(lemmatize);
+  };
+
+  return {
+    language: 'legacy',
+    tokenize: tokenizeLegacy,
+    tokenizeWithOffsets: text => {
+      if (!text) return [];
+      return Array.from(text.matchAll(LEGACY_WORD), match => ({
+        word: match[0].toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length
+      }))
+        .filter(({ word }) => !stopwords.has(word))
+        .map(({ word, start, end }) => ({ term: lemmatize(word), start, end }));
+    },
+    preprocess: text => tokenizeLegacy(text).join(' ')
+  };
+}
+
+/**
+ * Wraps an analyzer so that protected terms are kept whole: where one appears
+ * in the text as a whole word, in any case, it becomes a term as it is but
+ * lowercased like every other term, and only the text around it is analyzed
+ * @param {Object} analyzer - The analyzer (see getAnalyzer)
+ * @param {string[]} terms - Protected terms
+ * @returns {Object} The wrapping analyzer
+ */
+function protectTerms(analyzer, terms) {
+  if (terms.length === 0) return analyzer;
+  const alternatives = [...terms].sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{M}\\p{N}_])`, 'giu');
+
+  // Alternating pieces of text to analyze and protected terms
+  const split = text => {
+    const pieces = [];
+    let offset = 0;
+    for (const match of (text || '').matchAll(pattern)) {
+      pieces.push({ text: text.slice(offset, match.index), start: offset, protected: false });
+      pieces.push({ text: match[0], start: match.index, protected: true });
+      offset = match.index + match[0].length;
+    }
+    pieces.push({ text: (text || '').slice(offset), start: offset, protected: false });
+    return pieces;
+  };
+
+  const tokenizeWithOffsets = text => split(text).flatMap(piece => (piece.protected
+    ? [{ term: piece.text.toLowerCase(), start: piece.start, end: piece.start + piece.text.length }]
+    : analyzer.tokenizeWithOffsets(piece.text)
+      .map(token => ({ ...token, start: token.start + piece.start, end: token.end + piece.start }))));
+
+  return {
+    language: analyzer.language,
+    tokenize: text => tokenizeWithOffsets(text).map(({ term }) => term),
+    tokenizeWithOffsets,
+    preprocess: text => split(text)
+      .map(piece => (piece.protected ? piece.text.toLowerCase() : analyzer.preprocess(piece.text)))
+      .filter(Boolean)
+      .join(' ')
+  };
+}
+
+/**
+ * Gets the analyzers and parsed synonym rules kept for an analysis config
+ * @param {Object} config - Analysis config
+ * @returns {{analyzers: Map<string, Object>, synonyms: Map<string, Array<Object>>}} Caches per language
+ */
+function configuredCache(config) {
+  if (!configured.has(config)) {
+    configured.set(config, { analyzers: new Map(), synonyms: new Map() });
+  }
+  return configured.get(config);
+}
+
+/**
+ * Parses a synonym rule
+ * @param {string|string[]} rule - 'a, b' (equivalent phrases), 'a, b => c' (a or b add c), or
+ *   an array of equivalent phrases
+ * @returns {{from: string[], to: string[]}} Phrases that trigger the rule and phrases it adds
+ */
+function parseSynonymRule(rule) {
+  const text = Array.isArray(rule) ? rule.join(', ') : rule;
+  if (typeof text !== 'string') {
+    throw new Error(`Invalid synonym rule ${JSON.stringify(rule)}`);
+  }
+  const sides = text.split('=>');
+  const phrases = side => side.split(',').map(phrase => phrase.trim()).filter(Boolean);
+  const from = phrases(sides[0]);
+  const to = sides.length === 2 ? phrases(sides[1]) : from;
+  if (sides.length > 2 || from.length === 0 || to.length === 0 || (sides.length === 1 && from.length < 2)) {
+    throw new Error(`Invalid synonym rule '${text}' (expected 'a, b' or 'a => b')`);
+  }
+  return { from, to };
+}
+
+/**
+ * Writes a parsed synonym rule as text
+ * @param {{from: string[], to: string[]}} rule - The rule
+ * @returns {string} The rule as written in a config file
+ */
+function formatSynonymRule({ from, to }) {
+  return from === to ? from.join(', ') : `${from.join(', ')} => ${to.join(', ')}`;
+}
+
+/**
+ * Lowercases a word the way an analyzer does before stopword removal and stemming
+ * @param {string} word - The word
+ * @param {string} language - Language code, or 'legacy'
+ * @returns {string} The normalized word
+ */
+function normalizeWord(word, language) {
+  if (language === 'legacy') return word.toLowerCase();
+  const lower = word.normalize('NFC').toLowerCase();
+  return LANGUAGE_SETTINGS[language].fold ? foldAccents(lower) : lower;
+}
+
+/**
+ * Gets the stopwords of a language with the words added and removed by an analysis config
+ * @param {string} language - Language code, or 'legacy'
+ * @param {{add: string[], remove: string[]}} changes - Words to add and remove
+ * @returns {Set<string>} The stopwords
+ */
+function adjustStopwords(language, { add, remove }) {
+  const stopwords = new Set(getStopwords(language === 'legacy' ? 'en' : language));
+  for (const word of add) stopwords.add(normalizeWord(word, language));
+  for (const word of remove) stopwords.delete(normalizeWord(word, language));
+  return stopwords;
+}
+
+/**
+ * Cuts a word into runs of characters from scripts with and without spaces
+ * @param {string} word - The word
+ * @returns {Array<{text: string, cjk: boolean, start: number, end: number}>} Runs with offsets in the word
+ */
+function splitRuns(word) {
+  const runs = [];
+  let offset = 0;
+  for (const char of word) {
+    const cjk = CJK.test(char);
+    const last = runs[runs.length - 1];
+    if (last && last.cjk === cjk) {
+      last.text += char;
+      last.end += char.length;
+    } else {
+      runs.push({ text: char, cjk, start: offset, end: offset + char.length });
+    }
+    offset += char.length;
+  }
+  return runs;
+}
+
+/**
+ * Cuts a run of characters into overlapping pairs, the usual terms for
+ * scripts without spaces between words
+ * @param {string} run - The run
+ * @param {number} start - Offset of the run in the text
+ * @returns {Array<{term: string, start: number, end: number}>} The pairs, or the single character
+ */
+function characterPairs(run, start) {
+  const chars = Array.from(run);
+  const offsets = [start];
+  for (const char of chars) offsets.push(offsets[offsets.length - 1] + char.length);
+
+  if (chars.length === 1) return [{ term: run, start, end: offsets[1] }];
+  return chars.slice(0, -1).map((char, i) => ({ term: char + chars[i + 1], start: offsets[i], end: offsets[i + 2] }));
+}
+
+/**
+ * Removes accents and writes Greek final sigma as sigma
+ * @param {string} word - Lowercase word
+ * @returns {string} The folded word
+ */
+function foldAccents(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC').replace(/ς/g, 'σ');
+}
+
+/**
+ * Gets the stopwords of a language, normalized the way its words are
+ * @param {string} language - Language code
+ * @returns {Set<string>} The stopwords
+ */
+function getStopwords(language) {
+  if (!stopwordSets.has(language)) {
+    const { stopwords, fold = false } = LANGUAGE_SETTINGS[language];
+    stopwordSets.set(language, new Set(stopwords.map(word => (fold ? foldAccents(word.toLowerCase()) : word.toLowerCase()))));
+  }
+  return stopwordSets.get(language);
+}
+
+/**
+ * Lemmatizes a lowercase word
+ * @param {string} token - The word
+ * @returns {string} Its lemma, or the word itself if lemmatization fails
+ */
+function lemmatize(token) {
+  try {
+    return morpha.stem(token);
+  } catch (error) {
+    // Fallback to original token if lemmatization fails
+    return token;
+  }
+}
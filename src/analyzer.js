@@ -137,7 +137,7 @@ function getValueLength(value) {
  * @param {number} bytes - The size in bytes
  * @returns {string} Formatted size
  */
-function formatFileSize(bytes) {
+export function formatFileSize(bytes) {
   const units = ['B', 'KB', 'MB', 'GB', 'TB'];
   let size = bytes;
   let unitIndex = 0;
@@ -0,0 +1,334 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { createLineWriter } from './line-writer.js';
+
+// Header with field statistics and scoring parameters
+const HEADER_FILE = 'bm25.json';
+// One line per term: [term, [[doc, tf in field 0, tf in field 1, ...], ...]]
+const POSTINGS_FILE = 'postings.jsonl';
+
+/**
+ * Default BM25 parameters
+ * @type {{k1: number, b: number}}
+ */
+export const BM25_DEFAULTS = { k1: 1.2, b: 0.75 };
+
+// Rough memory cost of a term and of a posting, used to decide when to flush
+const TERM_BYTES = 96;
+const POSTING_BYTES = 48;
+
+/**
+ * Creates a builder that collects per-field term frequencies for BM25F.
+ * When a temporary directory is given, postings beyond the memory budget are
+ * flushed to sorted segment files there and merged when the index is written.
+ * @param {string[]} fields - Names of the indexed fields, e.g. ['title', 'content']
+ * @param {Object} [options] - Builder options
+ * @param {string} [options.tempDir] - Directory for postings segments
+ * @param {number} [options.memoryBudget=Infinity] - Approximate bytes of postings kept in memory
+ * @returns {Object} Builder with `addDocument(fieldTerms)` and `write(dir, params)`
+ */
+export function createBm25Builder(fields, options = {}) {
+  const { tempDir, memoryBudget = Infinity } = options;
+  const postingBytes = POSTING_BYTES + 8 * fields.length;
+  let postings = new Map();
+  let memoryUsed = 0;
+  const segments = [];
+  const lengths = fields.map(() => []);
+
+  // Writes the postings in memory to a sorted segment file
+  const flushSegment = () => {
+    const file = path.join(tempDir, `postings-${segments.length}.jsonl`);
+    writePostings(file, postings);
+    segments.push(file);
+    postings = new Map();
+    memoryUsed = 0;
+  };
+
+  return {
+    /**
+     * Adds the next document. Documents are numbered in the order they are added.
+     * @param {Object<string, string[]>} fieldTerms - Analyzed terms per field
+     * @returns {number} The document number
+     */
+    addDocument(fieldTerms) {
+      const doc = lengths[0].length;
+
+      fields.forEach((field, f) => {
+        const terms = fieldTerms[field] || [];
+        lengths[f].push(terms.length);
+
+        for (const term of terms) {
+          let list = postings.get(term);
+          if (!list) {
+            list = [];
+            postings.set(term, list);
+            memoryUsed += TERM_BYTES + 2 * term.length;
+          }
+
+          let posting = list[list.length - 1];
+          if (!posting || posting[0] !== doc) {
+            posting = [doc, ...fields.map(() => 0)];
+            list.push(posting);
+            memoryUsed += postingBytes;
+          }
+          posting[f + 1]++;
+        }
+      });
+
+      if (tempDir && memoryUsed > memoryBudget) {
+        flushSegment();
+      }
+
+      return doc;
+    },
+
+    /**
+     * Writes the header and postings to an index directory
+     * @param {string} dir - Index directory
+     * @param {Object} params - Default scoring parameters stored with the index
+     * @param {number} params.k1 - Term frequency saturation
+     * @param {number} params.b - Length normalization
+     * @param {Object<string, number>} params.fieldWeights - Weight per field
+     * @returns {Promise<void>}
+     */
+    async write(dir, params) {
+      const docCount = lengths[0].length;
+      const header = {
+        version: 1,
+        fields,
+        docCount,
+        k1: params.k1,
+        b: params.b,
+        fieldWeights: params.fieldWeights,
+        avgFieldLengths: lengths.map(list => list.reduce((sum, length) => sum + length, 0) / (docCount || 1)),
+        fieldLengths: lengths
+      };
+      fs.writeFileSync(path.join(dir, HEADER_FILE), JSON.stringify(header));
+
+      if (segments.length === 0) {
+        writePostings(path.join(dir, POSTINGS_FILE), postings);
+        return;
+      }
+
+      flushSegment();
+      await mergeSegments(segments, path.join(dir, POSTINGS_FILE));
+      segments.forEach(file => fs.rmSync(file, { force: true }));
+    }
+  };
+}
+
+/**
+ * Writes postings as JSON lines sorted by term
+ * @param {string} file - Output file
+ * @param {Map<string, Array>} postings - Postings per term
+ */
+function writePostings(file, postings) {
+  const writer = createLineWriter(file);
+  for (const term of [...postings.keys()].sort()) {
+    writer.write(JSON.stringify([term, postings.get(term)]) + '\n');
+  }
+  writer.close();
+}
+
+/**
+ * Merges sorted postings segments into one file. Segments hold consecutive
+ * ranges of documents, so a term's lists are joined in segment order.
+ * @param {string[]} files - Segment files, in document order
+ * @param {string} output - Merged postings file
+ * @returns {Promise<void>}
+ */
+async function mergeSegments(files, output) {
+  const readers = files.map(file => readline.createInterface({
+    input: fs.createReadStream(file),
+    crlfDelay: Infinity
+  })[Symbol.asyncIterator]());
+
+  const next = async reader => {
+    const { value, done } = await reader.next();
+    return done || !value ? null : JSON.parse(value);
+  };
+
+  const heads = await Promise.all(readers.map(next));
+  const writer = createLineWriter(output);
+
+  for (;;) {
+    let term = null;
+    for (const head of heads) {
+      if (head && (term === null || head[0] < term)) term = head[0];
+    }
+    if (term === null) break;
+
+    const list = [];
+    for (let i = 0; i < heads.length; i++) {
+      if (heads[i] && heads[i][0] === term) {
+        for (const posting of heads[i][1]) list.push(posting);
+        heads[i] = await next(readers[i]);
+      }
+    }
+    writer.write(JSON.stringify([term, list]) + '\n');
+  }
+
+  writer.close();
+}
+
+/**
+ * Checks whether an index directory contains a BM25 index
+ * @param {string} dir - Index directory
+ * @returns {boolean} True if a BM25 index exists
+ */
+export function hasBm25Index(dir) {
+  return fs.existsSync(path.join(dir, HEADER_FILE)) && fs.existsSync(path.join(dir, POSTINGS_FILE));
+}
+
+/**
+ * Loads a BM25 index written by a builder
+ * @param {string} dir - Index directory
+ * @returns {Promise<Object>} Scorer with `score(terms, options)`, `scoreTerm(term, options)`,
+ *   `explainTerm(term, doc, options)` and `documentFrequency(term)`
+ */
+export async function loadBm25Index(dir) {
+  const header = JSON.parse(fs.readFileSync(path.join(dir, HEADER_FILE), 'utf8'));
+  const postings = new Map();
+
+  const rl = readline.createInterface({
+    input: fs.createReadStream(path.join(dir, POSTINGS_FILE)),
+    crlfDelay: Infinity
+  });
+  for await (const line of rl) {
+    if (!line) continue;
+    const [term, list] = JSON.parse(line);
+    postings.set(term, list);
+  }
+
+  return createScorer(header, postings);
+}
+
+/**
+ * Creates the scoring functions over loaded postings
+ * @param {Object} header - BM25 header
+ * @param {Map<string, Array>} postings - Postings per term
+ * @returns {Object} The scorer
+ */
+function createScorer(header, postings) {
+  const { fields, docCount, avgFieldLengths, fieldLengths } = header;
+
+  /**
+   * Resolves scoring parameters, falling back to the index defaults
+   */
+  const resolveParams = (options = {}) => {
+    const k1 = options.k1 ?? header.k1 ?? BM25_DEFAULTS.k1;
+    const b = options.b ?? header.b ?? BM25_DEFAULTS.b;
+    const weights = { ...header.fieldWeights, ...options.fieldWeights };
+    return { k1, b, weights: fields.map(field => weights[field] ?? 1) };
+  };
+
+  const documentFrequency = term => (postings.get(term) || []).length;
+
+  // Probabilistic IDF, kept non-negative for very common terms
+  const idf = term => {
+    const df = documentFrequency(term);
+    return Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+  };
+
+  // BM25F: length-normalized field frequency, combined across fields before saturation
+  const fieldFrequency = (posting, f, b, weight) => {
+    const norm = 1 - b + b * (fieldLengths[f][posting[0]] / (avgFieldLengths[f] || 1));
+    return weight * posting[f + 1] / norm;
+  };
+
+  /**
+   * Scores every document containing a term
+   * @param {string} term - Analyzed term
+   * @param {Object} [options] - Scoring parameters (k1, b, fieldWeights)
+   * @returns {Map<number, number>} Score per document number
+   */
+  const scoreTerm = (term, options) => {
+    const { k1, b, weights } = resolveParams(options);
+    const termIdf = idf(term);
+    const scores = new Map();
+
+    for (const posting of postings.get(term) || []) {
+      const doc = posting[0];
+
+      let tf = 0;
+      for (let f = 0; f < fields.length; f++) {
+        if (posting[f + 1]) tf += fieldFrequency(posting, f, b, weights[f]);
+      }
+
+      scores.set(doc, termIdf * tf / (k1 + tf));
+    }
+
+    return scores;
+  };
+
+  return {
+    fields,
+    docCount,
+
+    documentFrequency,
+
+    scoreTerm,
+
+    /**
+     * Breaks down the score of one term in one document
+     * @param {string} term - Analyzed term
+     * @param {number} doc - Document number
+     * @param {Object} [options] - Scoring parameters (k1, b, fieldWeights)
+     * @returns {Object|null} The term's `score`, `idf`, `documentFrequency`, combined `tf`, `k1`, `b`
+     *   and `fields` with each matching field's `frequency`, `length`, `averageLength`, `weight` and
+     *   `tf`; null if the document doesn't contain the term
+     */
+    explainTerm(term, doc, options) {
+      const { k1, b, weights } = resolveParams(options);
+      const posting = (postings.get(term) || []).find(item => item[0] === doc);
+      if (!posting) return null;
+
+      const details = [];
+      let tf = 0;
+      for (let f = 0; f < fields.length; f++) {
+        if (!posting[f + 1]) continue;
+        const fieldTf = fieldFrequency(posting, f, b, weights[f]);
+        tf += fieldTf;
+        details.push({
+          field: fields[f],
+          frequency: posting[f + 1],
+          length: fieldLengths[f][doc],
+          averageLength: avgFieldLengths[f],
+          weight: weights[f],
+          tf: fieldTf
+        });
+      }
+
+      const termIdf = idf(term);
+      return {
+        score: termIdf * tf / (k1 + tf),
+        idf: termIdf,
+        documentFrequency: documentFrequency(term),
+        tf,
+        k1,
+        b,
+        fields: details
+      };
+    },
+
+    /**
+     * Scores documents against a set of query terms
+     * @param {string[]} terms - Analyzed query terms (duplicates are ignored)
+     * @param {Object} [options] - Scoring parameters
+     * @param {number} [options.k1] - Term frequency saturation
+     * @param {number} [options.b] - Length normalization (0 disables it)
+     * @param {Object<string, number>} [options.fieldWeights] - Weight per field
+     * @returns {Map<number, number>} Score per matching document number
+     */
+    score(terms, options) {
+      const scores = new Map();
+      for (const term of new Set(terms)) {
+        for (const [doc, score] of scoreTerm(term, options)) {
+          scores.set(doc, (scores.get(doc) || 0) + score);
+        }
+      }
+      return scores;
+    }
+  };
+}
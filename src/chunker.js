@@ -0,0 +1,121 @@
+// Units passages can be measured in
+const CHUNK_UNITS = ['tokens', 'sentences'];
+
+// Tokens: each character of a script written without spaces, or a run of other non-space characters
+const TOKEN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[^\s\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+
+/**
+ * Default passage settings: about 256 words per passage, with 32 words
+ * repeated between neighbouring passages
+ * @type {{unit: string, size: number, overlap: number}}
+ */
+export const CHUNK_DEFAULTS = { unit: 'tokens', size: 256, overlap: 32 };
+
+/**
+ * Normalizes passage settings for the index metadata
+ * @param {Object} options - Chunking options
+ * @param {boolean} [options.chunk=true] - Whether to split long content into passages
+ * @param {string} [options.chunkBy='tokens'] - Unit of size and overlap: 'tokens' or 'sentences'
+ * @param {number} [options.chunkSize] - Passage size in units (default: 256 tokens or 8 sentences)
+ * @param {number} [options.chunkOverlap] - Units shared by neighbouring passages
+ *   (default: 32 tokens or 1 sentence)
+ * @returns {Object|null} Chunking settings, or null when chunking is disabled
+ */
+export function resolveChunking({ chunk = true, chunkBy = CHUNK_DEFAULTS.unit, chunkSize, chunkOverlap } = {}) {
+  if (!chunk) return null;
+
+  if (!CHUNK_UNITS.includes(chunkBy)) {
+    throw new Error(`Invalid chunk unit '${chunkBy}' (expected ${CHUNK_UNITS.join(' or ')})`);
+  }
+
+  const bySentences = chunkBy === 'sentences';
+  const size = chunkSize ?? (bySentences ? 8 : CHUNK_DEFAULTS.size);
+  const overlap = chunkOverlap ?? (bySentences ? 1 : CHUNK_DEFAULTS.overlap);
+
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`Chunk size must be a positive integer, got ${size}`);
+  }
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap >= size) {
+    throw new Error(`Chunk overlap must be between 0 and the chunk size (${size}), got ${overlap}`);
+  }
+
+  return { unit: chunkBy, size, overlap };
+}
+
+/**
+ * Splits text into overlapping passages. Text that fits in one passage is
+ * returned whole.
+ * @param {string} text - The text to split
+ * @param {Object|null} chunking - Chunking settings (see resolveChunking), or null for one passage
+ * @returns {Array<{start: number, end: number, text: string}>} Passages with character offsets into the text
+ */
+export function chunkText(text, chunking) {
+  const spans = chunking
+    ? (chunking.unit === 'sentences' ? sentenceSpans(text) : tokenSpans(text))
+    : [];
+
+  if (spans.length <= (chunking ? chunking.size : 0)) {
+    return [{ start: 0, end: text.length, text }];
+  }
+
+  const passages = [];
+  const step = chunking.size - chunking.overlap;
+  for (let i = 0; ; i += step) {
+    const group = spans.slice(i, i + chunking.size);
+    const start = group[0].start;
+    const end = group[group.length - 1].end;
+    passages.push({ start, end, text: text.slice(start, end) });
+
+    if (i + chunking.size >= spans.length) break;
+  }
+
+  return passages;
+}
+
+/**
+ * Finds the tokens of a text: whitespace-separated words, except that Chinese,
+ * Japanese and Korean characters count one token each
+ * @param {string} text - The text
+ * @returns {Array<{start: number, end: number}>} Token offsets
+ */
+function tokenSpans(text) {
+  const spans = [];
+  for (const match of text.matchAll(TOKEN)) {
+    spans.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return spans;
+}
+
+/**
+ * Finds the sentences of a text. Sentences end at ., ! or ? followed by
+ * whitespace, at 。, ！ or ？, and at blank lines.
+ * @param {string} text - The text
+ * @returns {Array<{start: number, end: number}>} Sentence offsets, without surrounding whitespace
+ */
+function sentenceSpans(text) {
+  const spans = [];
+  const boundary = /[.!?]+["')\]]*(?=\s|$)|[。！？]+[」』）"')\]]*|\n\s*\n/g;
+  let start = 0;
+
+  for (const match of text.matchAll(boundary)) {
+    const end = match.index + match[0].length;
+    pushTrimmed(spans, text, start, end);
+    start = end;
+  }
+  pushTrimmed(spans, text, start, text.length);
+
+  return spans;
+}
+
+/**
+ * Adds a span without its leading and trailing whitespace, if anything is left
+ * @param {Array<{start: number, end: number}>} spans - Spans collected so far
+ * @param {string} text - The text
+ * @param {number} start - Span start
+ * @param {number} end - Span end
+ */
+function pushTrimmed(spans, text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  if (start < end) spans.push({ start, end });
+}
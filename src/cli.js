@@ -1,18 +1,396 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
+import { program, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import fs from 'fs';
 import path from 'path';
-import { analyzeDatabase } from './analyzer.js';
-import { buildIndex } from './indexer.js';
+import { analyzeDatabase, formatFileSize } from './analyzer.js';
+import { buildIndex, updateIndex, migrateIndex } from './indexer.js';
 import { searchIndex } from './searcher.js';
+import { startServer } from './server.js';
+import { getCacheInfo, clearCache, pruneCache, DEFAULT_CACHE_SIZE } from './embedding-cache.js';
+import { parseFilter } from './filters.js';
+import { parseFacetSpec } from './facets.js';
+import { parseFieldSpec, loadFieldConfig, getPathValue } from './fields.js';
+import { FUSION_STRATEGIES, RRF_K } from './fusion.js';
+import { HIGHLIGHT_DEFAULTS } from './highlight.js';
+import { readIndexMetadata } from './index-store.js';
+import { formatOutput, OUTPUT_FORMATS } from './output.js';
+import { evaluateSearch, compareRuns, METRICS } from './evaluate.js';
+import { tuneSearch, saveSearchConfig, loadSearchConfig, TUNING_GRID } from './tune.js';
+import { findDuplicates, KEEP_RULES } from './dedupe.js';
+import { findTopics } from './topics.js';
+import { searchSimilar } from './similar.js';
+import { LANGUAGES, loadAnalysisConfig } from './analysis.js';
 import { version } from './index.js';
 
 // Set Hugging Face API key from environment variable if available
 process.env.HF_API_KEY = process.env.HF_API_KEY || '';
 
+// Command output goes to stdout. Spinners and progress messages, including
+// those the library reports to its logger, go to stderr so the output can be piped.
+const stdout = new console.Console(process.stdout, process.stderr);
+const logger = new console.Console(process.stderr);
+
+const FORMAT_DESCRIPTION = `Output format: ${OUTPUT_FORMATS.join(', ')}`;
+
+// Columns of search results in csv and table output, before any selected fields
+const RESULT_COLUMNS = ['rank', 'id', 'title', 'score', 'semanticSimilarity', 'keywordRelevance', 'titleRelevance', 'fragment'];
+
+/**
+ * Parses an integer option. Commander passes the previous value as the second
+ * argument, so parseInt can't be used directly with a default.
+ * @param {string} value - Option value
+ * @returns {number} The integer
+ */
+function parseInteger(value) {
+  const number = parseInt(value, 10);
+  if (isNaN(number)) {
+    throw new InvalidArgumentError(`Expected an integer, got '${value}'`);
+  }
+  return number;
+}
+
+/**
+ * Parses field weights given as "field=weight,field=weight"
+ * @param {string} value - Option value
+ * @returns {Object<string, number>} Weight per field
+ */
+function parseFieldWeights(value) {
+  const weights = {};
+  for (const pair of value.split(',')) {
+    const [field, weight] = pair.split('=');
+    if (!field || isNaN(parseFloat(weight))) {
+      throw new InvalidArgumentError(`Invalid field weight '${pair}', expected field=weight`);
+    }
+    weights[field.trim()] = parseFloat(weight);
+  }
+  return weights;
+}
+
+/**
+ * Collects repeated --field options
+ * @param {string} value - Field specification, e.g. metadata.abstract:1.5:both
+ * @param {Object[]} previous - Fields collected so far
+ * @returns {Object[]} Field mappings
+ */
+function collectField(value, previous = []) {
+  try {
+    return [...previous, parseFieldSpec(value)];
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+/**
+ * Parses a JSON filter option
+ * @param {string} value - Option value
+ * @returns {Object} The filter
+ */
+function parseFilterOption(value) {
+  try {
+    return parseFilter(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+/**
+ * Parses a comma-separated list of facet specifications
+ * @param {string} value - Option value
+ * @returns {Object[]} Facet specifications
+ */
+function parseFacetsOption(value) {
+  try {
+    return value.split(',').map(parseFacetSpec);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+/**
+ * Parses a fusion strategy option
+ * @param {string} value - Option value
+ * @returns {string} The strategy
+ */
+function parseFusion(value) {
+  if (!FUSION_STRATEGIES.includes(value)) {
+    throw new InvalidArgumentError(`Expected one of ${FUSION_STRATEGIES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Parses an output format option
+ * @param {string} value - Option value
+ * @returns {string} The format
+ */
+function parseFormat(value) {
+  if (!OUTPUT_FORMATS.includes(value)) {
+    throw new InvalidArgumentError(`Expected one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Parses a list of entry ids
+ * @param {string} value - Option value, ids separated by commas
+ * @returns {number[]} The ids
+ */
+function parseIds(value) {
+  return value.split(',').map(id => parseInteger(id.trim()));
+}
+
+/**
+ * Parses a list of fusion strategies to tune
+ * @param {string} value - Option value
+ * @returns {string[]} The strategies
+ */
+function parseTunedFusions(value) {
+  const fusions = value.split(',').map(fusion => fusion.trim());
+  for (const fusion of fusions) {
+    if (!TUNING_GRID.fusion.includes(fusion)) {
+      throw new InvalidArgumentError(`Expected a list of ${TUNING_GRID.fusion.join(', ')}`);
+    }
+  }
+  return fusions;
+}
+
+/**
+ * Applies search settings saved with `tune --save` to the options the
+ * command line left at their defaults
+ * @param {Object} options - Parsed options, updated in place
+ * @param {Object} command - The command, to tell given options from defaults
+ */
+function applySearchConfig(options, command) {
+  if (!options.config) return;
+  for (const [key, value] of Object.entries(loadSearchConfig(options.config))) {
+    if (command.getOptionValueSource(key) === 'default') {
+      options[key] = value;
+    }
+  }
+}
+
+/**
+ * Writes command output in a machine-readable format to stdout
+ * @param {string} format - Output format other than 'text'
+ * @param {Object} output - Data, rows and columns (see formatOutput)
+ */
+function writeOutput(format, output) {
+  process.stdout.write(formatOutput(format, output));
+}
+
+/**
+ * Prepares a search result for machine-readable output
+ * @param {Object} result - Search result
+ * @param {number} rank - Position of the result, starting at 1
+ * @param {string[]} [fields] - Paths of the original entry to keep instead of the whole entry
+ * @returns {{record: Object, row: Object}} The full result and a flat row for csv and table
+ */
+function toOutputResult(result, rank, fields) {
+  const { originalEntry, ...rest } = result;
+  const selected = fields
+    ? Object.fromEntries(fields.map(field => [field, getPathValue(originalEntry, field)]))
+    : null;
+
+  return {
+    record: { rank, ...rest, ...(selected ? { fields: selected } : { originalEntry }) },
+    row: {
+      rank,
+      id: result.id,
+      title: result.title,
+      score: result.score,
+      semanticSimilarity: result.semanticSimilarity,
+      keywordRelevance: result.keywordRelevance,
+      titleRelevance: result.titleRelevance,
+      fragment: result.highlights && result.highlights.length > 0 ? result.highlights[0].text : result.passage.text,
+      ...selected
+    }
+  };
+}
+
+/**
+ * Turns evaluation metrics into table cells
+ * @param {Object<string, number>} metrics - Value per metric
+ * @param {string} [suffix=''] - Appended to each metric name
+ * @param {boolean} [signed=false] - Show a plus sign on positive values, for differences
+ * @returns {Object<string, string>} Formatted value per column
+ */
+function metricCells(metrics, suffix = '', signed = false) {
+  return Object.fromEntries(METRICS.map(metric => {
+    const value = metrics[metric].toFixed(4);
+    return [metric + suffix, signed && metrics[metric] > 0 ? `+${value}` : value];
+  }));
+}
+
+/**
+ * Prepares an evaluation run or comparison as table rows, one per query
+ * followed by the mean over all queries
+ * @param {Object} report - Run from evaluateSearch or comparison from compareRuns
+ * @param {boolean} [compact=false] - Show comparisons as the candidate value and its change
+ *   in one column per metric, instead of three
+ * @returns {Array<Object>} Rows
+ */
+function evaluationRows(report, compact = false) {
+  if (!report.overall.delta) {
+    return [
+      ...report.queries.map(item => ({ query: item.query, relevant: item.relevant, ...metricCells(item.metrics) })),
+      { query: '(mean)', relevant: '', ...metricCells(report.overall) }
+    ];
+  }
+
+  const row = (query, item) => {
+    const cells = { query };
+    if (compact) {
+      const changes = metricCells(item.delta, '', true);
+      for (const [metric, value] of Object.entries(metricCells(item.candidate))) {
+        cells[metric] = `${value} (${changes[metric]})`;
+      }
+      return cells;
+    }
+    for (const metric of METRICS) {
+      cells[`${metric}.baseline`] = item.baseline[metric].toFixed(4);
+      cells[`${metric}.candidate`] = item.candidate[metric].toFixed(4);
+      cells[`${metric}.delta`] = metricCells(item.delta, '', true)[metric];
+    }
+    return cells;
+  };
+  return [...report.queries.map(item => row(item.query, item)), row('(mean)', report.overall)];
+}
+
+/**
+ * Prepares tuned settings as table rows
+ * @param {Array<Object>} trials - Settings with their metrics, from tuneSearch
+ * @returns {Array<Object>} Rows
+ */
+function tuningRows(trials) {
+  return trials.map(({ config, metrics }, i) => ({
+    rank: i + 1,
+    fusion: config.fusion,
+    semanticWeight: config.semanticWeight,
+    titleWeight: config.titleWeight,
+    threshold: config.threshold,
+    rrfK: config.rrfK ?? '',
+    ...metricCells(metrics)
+  }));
+}
+
+/**
+ * Writes search results in the chosen format, with any warnings
+ * @param {Array} results - Results from searchIndex or searchSimilar
+ * @param {Object} request - What was searched for, leading the machine-readable output
+ * @param {Object} options - Command options (`format` and `fields`)
+ */
+function writeSearchResults(results, request, options) {
+  for (const warning of results.warnings || []) {
+    console.error(chalk.yellow(`Warning: ${warning}`));
+  }
+
+  if (options.format !== 'text') {
+    const prepared = results.map((result, i) => toOutputResult(result, i + 1, options.fields));
+    const records = prepared.map(item => item.record);
+    writeOutput(options.format, {
+      data: {
+        ...request,
+        total: results.total,
+        results: records,
+        ...(results.facets ? { facets: results.facets } : {}),
+        ...(results.warnings ? { warnings: results.warnings } : {})
+      },
+      records,
+      rows: prepared.map(item => item.row),
+      columns: [...RESULT_COLUMNS, ...(options.fields || [])]
+    });
+    return;
+  }
+
+  if (results.length === 0) {
+    stdout.log(chalk.yellow('No results found matching your query.'));
+    return;
+  }
+
+  results.forEach((result, i) => {
+    stdout.log(chalk.bold(`\n${i + 1}. ${result.title || 'Untitled'} `),
+      chalk.gray(`(Score: ${result.score.toFixed(4)})`));
+    stdout.log(chalk.cyan(`Relevance: ${(result.relevance * 100).toFixed(2)}%`));
+
+    // Print the fragments matching the query, or the best passage
+    const { passage } = result;
+    if (passage.count > 1) {
+      stdout.log(chalk.gray(`Passage ${passage.index + 1}/${passage.count} (characters ${passage.start}-${passage.end})`));
+    }
+    printHighlights(result);
+
+    if (result.explanation) {
+      stdout.log(chalk.bold('Score explanation:'));
+      printExplanation(result.explanation);
+    }
+  });
+
+  if (results.facets) {
+    printFacets(results.facets);
+  }
+}
+
+/**
+ * Prints facet counts
+ * @param {Object<string, Object>} facets - Facets returned by searchIndex
+ */
+function printFacets(facets) {
+  stdout.log(chalk.bold('\nFacets:'));
+  for (const [field, facet] of Object.entries(facets)) {
+    stdout.log(chalk.yellow(`\n${field}:`));
+    for (const bucket of facet.buckets) {
+      const label = facet.type === 'histogram' ? `${bucket.from} - ${bucket.to}` : bucket.value;
+      stdout.log(`  ${label} ${chalk.gray(`(${bucket.count})`)}`);
+    }
+    if (facet.otherCount) {
+      stdout.log(chalk.gray(`  other (${facet.otherCount})`));
+    }
+  }
+}
+
+/**
+ * Prints highlight fragments with the matches in colour
+ * @param {Object} result - Search result with `highlights`
+ */
+function printHighlights(result) {
+  for (const fragment of result.highlights) {
+    let line = '';
+    let last = 0;
+    for (const match of fragment.matches) {
+      line += fragment.text.slice(last, match.start) + chalk.yellow.bold(fragment.text.slice(match.start, match.end));
+      last = match.end;
+    }
+    line += fragment.text.slice(last);
+
+    const before = fragment.start > 0 ? '...' : '';
+    const after = fragment.end < result.content.length && !/[.!?。！？]$/.test(fragment.text) ? '...' : '';
+    stdout.log(`${before}${line}${after}`);
+  }
+}
+
+/**
+ * Prints a score explanation tree, one node per line
+ * @param {Object} node - Explanation node (see searchIndex's `explain` option)
+ * @param {number} [depth=0] - Nesting depth
+ */
+function printExplanation(node, depth = 0) {
+  const indent = '  '.repeat(depth + 1);
+  const source = node.source === 'expansion' ? chalk.gray(' (expanded)') : '';
+  let weighting = '';
+  if (node.weight !== undefined) {
+    const rank = node.rank !== undefined ? `rank ${node.rank}, ` : '';
+    weighting = chalk.gray(` [${rank}${node.normalized.toFixed(4)} × weight ${node.weight.toFixed(4)} = ${node.contribution.toFixed(4)}]`);
+  }
+  stdout.log(`${indent}${chalk.cyan(node.value.toFixed(4))} ${node.name}${source}${weighting} ${chalk.gray(node.description)}`);
+
+  for (const child of node.details || []) {
+    printExplanation(child, depth + 1);
+  }
+}
+
 // Configure the CLI
 program
   .name('jsonl-search')
@@ -26,6 +404,7 @@ program
   .argument('<file>', 'Path to JSONL file')
   .option('-f, --fields [fields]', 'Specific fields to analyze (comma-separated)')
   .option('-s, --sample <n>', 'Number of entries to sample', parseInt)
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
   .action(async (file, options) => {
     const spinner = ora('Analyzing JSONL database...').start();
     try {
@@ -42,18 +421,27 @@ program
 
       spinner.succeed('Analysis complete');
 
-      console.log(chalk.bold('\nDatabase Statistics:'));
-      console.log(chalk.cyan(`Total entries: ${stats.totalEntries}`));
-      console.log(chalk.cyan(`File size: ${stats.fileSize}`));
+      if (options.format !== 'text') {
+        writeOutput(options.format, {
+          data: stats,
+          rows: Object.entries(stats.fields).map(([field, fieldStats]) => ({ field, ...fieldStats })),
+          columns: ['field', 'type', 'coverage', 'avgLength', 'uniqueValues']
+        });
+        return;
+      }
+
+      stdout.log(chalk.bold('\nDatabase Statistics:'));
+      stdout.log(chalk.cyan(`Total entries: ${stats.totalEntries}`));
+      stdout.log(chalk.cyan(`File size: ${stats.fileSize}`));
 
-      console.log(chalk.bold('\nFields:'));
+      stdout.log(chalk.bold('\nFields:'));
       for (const [field, fieldStats] of Object.entries(stats.fields)) {
-        console.log(chalk.yellow(`\n${field}:`));
-        console.log(`  Type: ${fieldStats.type}`);
-        console.log(`  Present in: ${fieldStats.coverage}% of entries`);
-        console.log(`  Average length: ${fieldStats.avgLength}`);
+        stdout.log(chalk.yellow(`\n${field}:`));
+        stdout.log(`  Type: ${fieldStats.type}`);
+        stdout.log(`  Present in: ${fieldStats.coverage}% of entries`);
+        stdout.log(`  Average length: ${fieldStats.avgLength}`);
         if (fieldStats.uniqueValues) {
-          console.log(`  Unique values: ${fieldStats.uniqueValues}`);
+          stdout.log(`  Unique values: ${fieldStats.uniqueValues}`);
         }
       }
     } catch (error) {
@@ -70,15 +458,44 @@ program
   .option('-o, --output <dir>', 'Output directory for index', './index')
   .option('-c, --content-field <field>', 'Field containing main content', 'content')
   .option('-t, --title-field <field>', 'Field containing title', 'title')
-  .option('-m, --model <name>', 'Embedding model to use', 'universal-sentence-encoder')
+  .option('--field <spec>', 'Index a field as path[:weight][:keyword|vector|both], e.g. metadata.abstract:1.5 (repeatable, replaces --content-field)', collectField)
+  .option('--fields-config <file>', 'JSON file with the field mapping')
+  .option('-m, --model <name>', 'Embedding model to use (optionally "provider:model")')
+  .option('-p, --provider <name>', 'Embedding provider: huggingface, openai or local')
+  .option('--dimension <n>', 'Embedding dimension (local and openai providers)', parseInt)
+  .option('--api-base <url>', 'Base URL of an OpenAI-compatible embeddings server')
+  .option('--api-key <key>', 'API key for the embedding provider')
   .option('--no-title-boost', 'Disable title relevance boosting')
+  .option('-k, --key-field <field>', 'Field holding a stable unique key for each entry')
+  .option('--language <code>', `Language of the entries, deciding tokenizing, stopwords and stemming: auto (detect per entry) or one of ${LANGUAGES.join(', ')}`, 'en')
+  .option('--language-field <path>', 'Field naming each entry\'s language, e.g. lang; other entries use --language')
+  .option('--analysis-config <file>', 'JSON file with synonyms, protected terms, stopword changes and whether queries are expanded')
+  .option('-u, --update', 'Update an existing index, embedding only new or changed entries')
+  .option('--no-chunk', 'Embed each entry whole instead of splitting long content into passages')
+  .option('--chunk-by <unit>', 'Unit of passage size and overlap: tokens or sentences')
+  .option('--chunk-size <n>', 'Passage size (default: 256 tokens or 8 sentences)', parseInt)
+  .option('--chunk-overlap <n>', 'Units shared by neighbouring passages (default: 32 tokens or 1 sentence)', parseInt)
+  .option('--no-ann', 'Skip building the HNSW graph for approximate vector search')
+  .option('--hnsw-m <n>', 'Maximum HNSW graph neighbours per node', parseInteger, 16)
+  .option('--ef-construction <n>', 'HNSW candidate list size while building', parseInteger, 100)
+  .option('--k1 <n>', 'BM25 term frequency saturation', parseFloat)
+  .option('--b <n>', 'BM25 length normalization (0-1)', parseFloat)
+  .option('--field-weights <weights>', 'BM25F field weights, e.g. title=2,content=1,tags=1', parseFieldWeights)
+  .option('--memory <mb>', 'Approximate memory budget in megabytes; keyword postings beyond it are flushed to disk', parseInteger, 512)
+  .option('--no-cache', 'Embed every text instead of reusing embeddings from the embedding cache')
+  .option('--cache-dir <dir>', 'Embedding cache directory (default: ~/.cache/jsonl-semantic-search)')
+  .option('--cache-size <mb>', 'Size limit of the embedding cache in megabytes', parseInteger, DEFAULT_CACHE_SIZE)
+  .option('--on-embedding-error <policy>', 'When entries can\'t be embedded: fail, skip them, or defer them to the next --update', 'fail')
+  .option('--retries <n>', 'Retries of failed embedding requests', parseInteger, 3)
+  .option('--retry-delay <ms>', 'Delay before the first retry, doubled for each further one', parseInteger, 1000)
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
   .option('--hf-api-key <key>', 'Hugging Face API key for embedding generation')
-  .action(async (file, options) => {
+  .action(async (file, options, command) => {
     // Set Hugging Face API key if provided
     if (options.hfApiKey) {
       process.env.HF_API_KEY = options.hfApiKey;
     }
-    const spinner = ora('Building search index...').start();
+    const spinner = ora(options.update ? 'Updating search index...' : 'Building search index...').start();
     try {
       if (!fs.existsSync(file)) {
         spinner.fail(`File not found: ${file}`);
@@ -90,18 +507,76 @@ program
         fs.mkdirSync(options.output, { recursive: true });
       }
 
-      const indexPath = await buildIndex(file, {
+      // When updating, defaults must not override the settings stored in the index
+      const explicit = name => command.getOptionValueSource(name) === 'default' ? undefined : options[name];
+
+      const fields = options.fieldsConfig
+        ? [...loadFieldConfig(options.fieldsConfig), ...(options.field || [])]
+        : options.field;
+
+      const indexOptions = {
         outputDir: options.output,
+        contentField: explicit('contentField'),
+        titleField: explicit('titleField'),
+        fields,
+        keyField: options.keyField,
+        language: explicit('language'),
+        languageField: options.languageField,
+        analysisConfig: options.analysisConfig ? loadAnalysisConfig(options.analysisConfig) : undefined,
+        model: options.model,
+        provider: options.provider,
+        dimension: options.dimension,
+        baseUrl: options.apiBase,
+        apiKey: options.apiKey,
+        titleBoost: explicit('titleBoost'),
+        chunk: explicit('chunk'),
+        chunkBy: options.chunkBy,
+        chunkSize: options.chunkSize,
+        chunkOverlap: options.chunkOverlap,
+        ann: options.ann,
+        hnswM: options.hnswM,
+        efConstruction: options.efConstruction,
+        k1: options.k1,
+        b: options.b,
+        fieldWeights: options.fieldWeights,
+        memoryBudget: options.memory,
+        cache: options.cache,
+        cacheDir: options.cacheDir,
+        cacheSize: options.cacheSize,
+        onEmbeddingError: options.onEmbeddingError,
+        retries: options.retries,
+        retryDelay: options.retryDelay,
+        logger
+      };
+
+      if (options.update) {
+        const counts = await updateIndex(file, indexOptions);
+        spinner.succeed(`Index updated at ${options.output}: ${counts.added} added, ${counts.updated} updated, ${counts.removed} removed, ${counts.unchanged} unchanged` +
+          (counts.failed ? chalk.yellow(`, ${counts.failed} failed to embed`) : ''));
+        if (options.format !== 'text') {
+          const summary = { indexDir: options.output, ...counts };
+          writeOutput(options.format, { data: summary, rows: [summary] });
+        }
+        return;
+      }
+
+      const indexPath = await buildIndex(file, {
+        ...indexOptions,
         contentField: options.contentField,
         titleField: options.titleField,
-        model: options.model,
-        titleBoost: options.titleBoost
+        titleBoost: options.titleBoost,
+        chunk: options.chunk,
+        language: options.language
       });
 
       spinner.succeed(`Index built successfully at ${indexPath}`);
+      if (options.format !== 'text') {
+        const { entryCount } = await readIndexMetadata(indexPath);
+        const summary = { indexDir: indexPath, entries: entryCount };
+        writeOutput(options.format, { data: summary, rows: [summary] });
+      }
     } catch (error) {
       spinner.fail(`Indexing failed: ${error.message}`);
-      console.error(error);
       process.exit(1);
     }
   });
@@ -116,14 +591,39 @@ program
   .option('-t, --threshold <n>', 'Relevance threshold (0-1)', parseFloat, 0.5)
   .option('--semantic-weight <n>', 'Weight for semantic similarity (0-1)', parseFloat, 0.7)
   .option('--title-weight <n>', 'Weight for title relevance (0-1)', parseFloat, 0.3)
+  .option('--fusion <strategy>', `How scores are combined: ${FUSION_STRATEGIES.join(', ')}`, parseFusion, 'linear')
+  .option('--rrf-k <n>', 'Rank constant for reciprocal rank fusion', parseInteger, RRF_K)
+  .option('--config <file>', 'Load weights, threshold and fusion saved by tune --save; options given here take precedence')
+  .option('--language <code>', `Language to analyze the query in (default: the index language, or detected among the index languages): ${LANGUAGES.join(', ')}`)
+  .option('--api-base <url>', 'Override the OpenAI-compatible embeddings server stored in the index')
+  .option('--api-key <key>', 'API key for the embedding provider')
+  .option('--lazy-vectors', 'Read vectors from disk on demand instead of loading them into memory')
+  .option('--exact', 'Compare the query with every entry instead of using the HNSW graph')
+  .option('--ef-search <n>', 'HNSW candidate list size; lower is faster, higher is more accurate (default: 10 times the limit, at least 100)', parseInteger)
+  .option('--k1 <n>', 'BM25 term frequency saturation (default: index setting)', parseFloat)
+  .option('--b <n>', 'BM25 length normalization (default: index setting)', parseFloat)
+  .option('--field-weights <weights>', 'BM25F field weights, e.g. title=3,content=1', parseFieldWeights)
+  .option('--facets <fields>', 'Count results per value of these fields, e.g. tags,date:month', parseFacetsOption)
+  .option('-f, --filter <json>', 'Only search entries matching a JSON filter, e.g. \'{"tags":"AI"}\'', parseFilterOption)
+  .option('--no-cache', 'Always embed the query instead of using the embedding cache')
+  .option('--cache-dir <dir>', 'Embedding cache directory (default: ~/.cache/jsonl-semantic-search)')
+  .option('--keyword-fallback', 'Rank by keywords only, with a warning, if the query can\'t be embedded')
+  .option('--retries <n>', 'Retries of a failed query embedding', parseInteger, 3)
+  .option('--no-expansion', 'Don\'t expand the query with WordNet and Word2Vec terms (configured synonyms still apply)')
+  .option('--fragment-size <n>', 'Maximum length of the highlighted fragments in characters', parseInteger, HIGHLIGHT_DEFAULTS.fragmentSize)
+  .option('--fragments <n>', 'Maximum number of highlighted fragments per result', parseInteger, HIGHLIGHT_DEFAULTS.fragments)
+  .option('--explain', 'Show how each result\'s score was computed')
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
+  .option('--fields <paths>', 'Fields of the original entries to output instead of the whole entries, e.g. tags,metadata.author', value => value.split(','))
   .option('--hf-api-key <key>', 'Hugging Face API key for embedding generation')
-  .action(async (query, options) => {
+  .action(async (query, options, command) => {
     // Set Hugging Face API key if provided
     if (options.hfApiKey) {
       process.env.HF_API_KEY = options.hfApiKey;
     }
     const spinner = ora('Searching...').start();
     try {
+      applySearchConfig(options, command);
       if (!fs.existsSync(options.index)) {
         spinner.fail(`Index not found: ${options.index}`);
         process.exit(1);
@@ -134,31 +634,538 @@ program
         limit: options.limit,
         threshold: options.threshold,
         semanticWeight: options.semanticWeight,
-        titleWeight: options.titleWeight
+        titleWeight: options.titleWeight,
+        fusion: options.fusion,
+        rrfK: options.rrfK,
+        baseUrl: options.apiBase,
+        apiKey: options.apiKey,
+        preload: options.lazyVectors ? false : undefined,
+        exact: options.exact,
+        efSearch: options.efSearch,
+        k1: options.k1,
+        b: options.b,
+        fieldWeights: options.fieldWeights,
+        filter: options.filter,
+        facets: options.facets,
+        cache: options.cache,
+        cacheDir: options.cacheDir,
+        onEmbeddingError: options.keywordFallback ? 'keyword' : 'fail',
+        retries: options.retries,
+        explain: options.explain,
+        highlight: true,
+        fragmentSize: options.fragmentSize,
+        fragments: options.fragments,
+        language: options.language,
+        expansion: command.getOptionValueSource('expansion') === 'default' ? undefined : options.expansion,
+        logger
       });
 
-      spinner.succeed(`Found ${results.length} results`);
+      spinner.succeed(`Found ${results.total} results`);
+      writeSearchResults(results, { query }, options);
+    } catch (error) {
+      spinner.fail(`Search failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Command to find entries like given ones
+program
+  .command('similar')
+  .description('Find entries similar to one or more indexed entries')
+  .argument('<ids...>', 'Ids of the entries to find more of')
+  .option('-i, --index <dir>', 'Index directory', './index')
+  .option('--unlike <ids>', 'Ids of entries whose kind of content to avoid, e.g. 4,9', parseIds, [])
+  .option('--unlike-weight <n>', 'How strongly to move away from the --unlike entries', parseFloat, 0.5)
+  .option('--terms <n>', 'Keyword terms taken from the entries', parseInteger, 10)
+  .option('-n, --limit <n>', 'Maximum number of results', parseInteger, 10)
+  .option('-t, --threshold <n>', 'Relevance threshold (0-1)', parseFloat, 0.5)
+  .option('--semantic-weight <n>', 'Weight for semantic similarity (0-1)', parseFloat, 0.7)
+  .option('--title-weight <n>', 'Weight for title relevance (0-1)', parseFloat, 0.3)
+  .option('--fusion <strategy>', `How scores are combined: ${FUSION_STRATEGIES.join(', ')}`, parseFusion, 'linear')
+  .option('--rrf-k <n>', 'Rank constant for reciprocal rank fusion', parseInteger, RRF_K)
+  .option('--config <file>', 'Load weights, threshold and fusion saved by tune --save; options given here take precedence')
+  .option('--lazy-vectors', 'Read vectors from disk on demand instead of loading them into memory')
+  .option('--exact', 'Compare with every entry instead of using the HNSW graph')
+  .option('--ef-search <n>', 'HNSW candidate list size; lower is faster, higher is more accurate (default: 10 times the limit, at least 100)', parseInteger)
+  .option('-f, --filter <json>', 'Only search entries matching a JSON filter, e.g. \'{"tags":"AI"}\'', parseFilterOption)
+  .option('--facets <fields>', 'Count results per value of these fields, e.g. tags,date:month', parseFacetsOption)
+  .option('--fragment-size <n>', 'Maximum length of the highlighted fragments in characters', parseInteger, HIGHLIGHT_DEFAULTS.fragmentSize)
+  .option('--fragments <n>', 'Maximum number of highlighted fragments per result', parseInteger, HIGHLIGHT_DEFAULTS.fragments)
+  .option('--explain', 'Show how each result\'s score was computed')
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
+  .option('--fields <paths>', 'Fields of the original entries to output instead of the whole entries, e.g. tags,metadata.author', value => value.split(','))
+  .action(async (ids, options, command) => {
+    const spinner = ora('Searching...').start();
+    try {
+      applySearchConfig(options, command);
+      if (!fs.existsSync(options.index)) {
+        spinner.fail(`Index not found: ${options.index}`);
+        process.exit(1);
+      }
 
-      if (results.length === 0) {
-        console.log(chalk.yellow('No results found matching your query.'));
+      const like = ids.map(id => parseInteger(id));
+      const results = await searchSimilar(like, {
+        indexDir: options.index,
+        unlike: options.unlike,
+        unlikeWeight: options.unlikeWeight,
+        terms: options.terms,
+        limit: options.limit,
+        threshold: options.threshold,
+        semanticWeight: options.semanticWeight,
+        titleWeight: options.titleWeight,
+        fusion: options.fusion,
+        rrfK: options.rrfK,
+        preload: options.lazyVectors ? false : undefined,
+        exact: options.exact,
+        efSearch: options.efSearch,
+        filter: options.filter,
+        facets: options.facets,
+        explain: options.explain,
+        highlight: true,
+        fragmentSize: options.fragmentSize,
+        fragments: options.fragments,
+        logger
+      });
+
+      spinner.succeed(`Found ${results.total} similar entries`);
+      if (options.format === 'text') {
+        stdout.log(chalk.gray(`Keyword terms: ${results.terms.join(', ') || '(none)'}`));
+      }
+      writeSearchResults(results, { like, unlike: options.unlike, terms: results.terms }, options);
+    } catch (error) {
+      spinner.fail(`Search failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Command to measure search quality
+program
+  .command('evaluate')
+  .description('Measure search quality against relevance judgments (nDCG, MRR, precision, recall, MAP)')
+  .argument('<judgments>', 'JSONL or JSON file of queries with their relevant entry ids and grades')
+  .option('-i, --index <dir>', 'Index directory', './index')
+  .option('-k, --k <n>', 'Number of results judged per query', parseInteger, 10)
+  .option('--id-field <path>', 'Field of the original entries holding the judged ids (default: the index entry id)')
+  .option('--compare <dir>', 'Also evaluate this index and compare it with --index')
+  .option('--baseline <file>', 'Compare with an earlier run saved with --format json')
+  .option('-t, --threshold <n>', 'Relevance threshold (0-1)', parseFloat, 0.5)
+  .option('--semantic-weight <n>', 'Weight for semantic similarity (0-1)', parseFloat, 0.7)
+  .option('--title-weight <n>', 'Weight for title relevance (0-1)', parseFloat, 0.3)
+  .option('--fusion <strategy>', `How scores are combined: ${FUSION_STRATEGIES.join(', ')}`, parseFusion, 'linear')
+  .option('--rrf-k <n>', 'Rank constant for reciprocal rank fusion', parseInteger, RRF_K)
+  .option('--config <file>', 'Load weights, threshold and fusion saved by tune --save; options given here take precedence')
+  .option('--exact', 'Compare each query with every entry instead of using the HNSW graph')
+  .option('--api-base <url>', 'Override the OpenAI-compatible embeddings server stored in the index')
+  .option('--api-key <key>', 'API key for the embedding provider')
+  .option('--no-cache', 'Always embed the queries instead of using the embedding cache')
+  .option('--cache-dir <dir>', 'Embedding cache directory (default: ~/.cache/jsonl-semantic-search)')
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
+  .option('--hf-api-key <key>', 'Hugging Face API key for embedding generation')
+  .action(async (judgments, options, command) => {
+    // Set Hugging Face API key if provided
+    if (options.hfApiKey) {
+      process.env.HF_API_KEY = options.hfApiKey;
+    }
+    if (options.compare && options.baseline) {
+      console.error(chalk.red('Use either --compare or --baseline, not both'));
+      process.exit(1);
+    }
+
+    const spinner = ora('Evaluating...').start();
+    try {
+      applySearchConfig(options, command);
+      const evaluationOptions = {
+        k: options.k,
+        idField: options.idField,
+        threshold: options.threshold,
+        semanticWeight: options.semanticWeight,
+        titleWeight: options.titleWeight,
+        fusion: options.fusion,
+        rrfK: options.rrfK,
+        exact: options.exact,
+        baseUrl: options.apiBase,
+        apiKey: options.apiKey,
+        cache: options.cache,
+        cacheDir: options.cacheDir,
+        logger
+      };
+
+      let report = await evaluateSearch(judgments, { ...evaluationOptions, indexDir: options.index });
+      if (options.compare) {
+        spinner.text = `Evaluating ${options.compare}...`;
+        const candidate = await evaluateSearch(judgments, { ...evaluationOptions, indexDir: options.compare });
+        report = compareRuns(report, candidate);
+      } else if (options.baseline) {
+        const baseline = JSON.parse(fs.readFileSync(options.baseline, 'utf8'));
+        report = compareRuns(baseline, report);
+      }
+
+      spinner.succeed(`Evaluated ${report.queries.length} queries at k=${report.k}`);
+
+      if (options.format !== 'text') {
+        writeOutput(options.format, { data: report, records: report.queries, rows: evaluationRows(report) });
         return;
       }
 
-      results.forEach((result, i) => {
-        console.log(chalk.bold(`\n${i + 1}. ${result.title || 'Untitled'} `),
-          chalk.gray(`(Score: ${result.score.toFixed(4)})`));
-        console.log(chalk.cyan(`Relevance: ${(result.relevance * 100).toFixed(2)}%`));
+      if (report.overall.delta) {
+        stdout.log(chalk.bold(`Baseline: ${report.baseline}`));
+        stdout.log(chalk.bold(`Candidate: ${report.candidate}`));
+        stdout.log(chalk.gray('Candidate values, with the change from the baseline in brackets\n'));
+      }
+      process.stdout.write(formatOutput('table', { rows: evaluationRows(report, true) }));
+    } catch (error) {
+      spinner.fail(`Evaluation failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Command to tune search settings against relevance judgments
+program
+  .command('tune')
+  .description('Find the weights, threshold and fusion settings that rank a judgment set best')
+  .argument('<judgments>', 'JSONL or JSON file of queries with their relevant entry ids and grades')
+  .option('-i, --index <dir>', 'Index directory', './index')
+  .option('-k, --k <n>', 'Number of results judged per query', parseInteger, 10)
+  .option('-m, --metric <name>', `Metric to maximize: ${METRICS.join(', ')}`, 'ndcg')
+  .option('--id-field <path>', 'Field of the original entries holding the judged ids (default: the index entry id)')
+  .option('--fusion <strategies>', 'Fusion strategies to try, e.g. linear,rrf', parseTunedFusions, TUNING_GRID.fusion)
+  .option('--top <n>', 'Number of best settings to show', parseInteger, 5)
+  .option('--save <file>', 'Save the best settings for search --config')
+  .option('--exact', 'Compare each query with every entry instead of using the HNSW graph')
+  .option('--api-base <url>', 'Override the OpenAI-compatible embeddings server stored in the index')
+  .option('--api-key <key>', 'API key for the embedding provider')
+  .option('--no-cache', 'Always embed the queries instead of using the embedding cache')
+  .option('--cache-dir <dir>', 'Embedding cache directory (default: ~/.cache/jsonl-semantic-search)')
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
+  .option('--hf-api-key <key>', 'Hugging Face API key for embedding generation')
+  .action(async (judgments, options) => {
+    // Set Hugging Face API key if provided
+    if (options.hfApiKey) {
+      process.env.HF_API_KEY = options.hfApiKey;
+    }
 
-        // Print a snippet of the content
-        const snippet = result.content.length > 200
-          ? result.content.substring(0, 200) + '...'
-          : result.content;
-        console.log(snippet);
+    const spinner = ora('Tuning...').start();
+    try {
+      const report = await tuneSearch(judgments, {
+        indexDir: options.index,
+        k: options.k,
+        metric: options.metric,
+        idField: options.idField,
+        grid: { fusion: options.fusion },
+        top: options.top,
+        exact: options.exact,
+        baseUrl: options.apiBase,
+        apiKey: options.apiKey,
+        cache: options.cache,
+        cacheDir: options.cacheDir,
+        logger
       });
+
+      spinner.succeed(`Tried ${report.trials} settings on ${report.queries} queries at k=${report.k}`);
+      if (options.save) {
+        saveSearchConfig(options.save, report.best.config, {
+          metric: report.metric,
+          k: report.k,
+          value: report.best.value,
+          judgments: path.resolve(judgments),
+          indexDir: path.resolve(report.indexDir)
+        });
+        console.error(chalk.green(`Best settings saved to ${options.save}`));
+      }
+
+      if (options.format !== 'text') {
+        writeOutput(options.format, { data: report, records: report.top, rows: tuningRows(report.top) });
+        return;
+      }
+
+      const { best, baseline } = report;
+      const change = best.value - baseline.value;
+      stdout.log(chalk.bold(`Best ${report.metric}@${report.k}: ${best.value.toFixed(4)}`),
+        chalk.gray(`(defaults: ${baseline.value.toFixed(4)}, ${change >= 0 ? '+' : ''}${change.toFixed(4)})`));
+      for (const [key, value] of Object.entries(best.config)) {
+        stdout.log(`  ${key}: ${chalk.cyan(value)}`);
+      }
+      stdout.log('');
+      process.stdout.write(formatOutput('table', { rows: tuningRows(report.top) }));
     } catch (error) {
-      spinner.fail(`Search failed: ${error.message}`);
+      spinner.fail(`Tuning failed: ${error.message}`);
       process.exit(1);
     }
   });
 
+// Command to find near-duplicate entries
+program
+  .command('dedupe')
+  .description('Find clusters of near-duplicate entries and optionally write a deduplicated JSONL file')
+  .option('-i, --index <dir>', 'Index directory', './index')
+  .option('-t, --threshold <n>', 'Minimum embedding similarity of duplicates (0-1)', parseFloat, 0.95)
+  .option('--text-threshold <n>', 'Also require this word shingle overlap (Jaccard, 0-1)', parseFloat)
+  .option('--shingle-size <n>', 'Words per shingle for --text-threshold', parseInteger, 3)
+  .option('--keep <rule>', `Entry kept from each cluster: ${KEEP_RULES.join(', ')}`, 'first')
+  .option('--date-field <path>', 'Field of the original entries holding their date, for --keep newest')
+  .option('--exact', 'Compare every pair of entries instead of using the HNSW graph')
+  .option('-o, --output <file>', 'Write the entries to this JSONL file, keeping one per cluster')
+  .option('--input <file>', 'Copy the lines of the JSONL file the index was built from to --output, keeping lines that were not indexed')
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
+  .action(async (options) => {
+    if (!fs.existsSync(options.index)) {
+      console.error(chalk.red(`Index not found: ${options.index}`));
+      process.exit(1);
+    }
+
+    const spinner = ora('Looking for near-duplicates...').start();
+    try {
+      const report = await findDuplicates({
+        indexDir: options.index,
+        threshold: options.threshold,
+        textThreshold: options.textThreshold,
+        shingleSize: options.shingleSize,
+        keep: options.keep,
+        dateField: options.dateField,
+        exact: options.exact,
+        output: options.output,
+        input: options.input
+      });
+
+      spinner.succeed(`Found ${report.clusters.length} clusters with ${report.duplicates} duplicates among ${report.entries} entries`);
+      if (options.output) {
+        const unindexed = report.unindexed ? `, including ${report.unindexed} lines that were not indexed` : '';
+        console.error(chalk.green(`Wrote ${report.written} entries to ${options.output}${unindexed}`));
+      }
+
+      if (options.format !== 'text') {
+        const rows = report.clusters.flatMap((cluster, i) => cluster.members.map(member => ({
+          cluster: i + 1,
+          canonical: member.id === cluster.canonical,
+          ...member
+        })));
+        const columns = ['cluster', 'canonical', 'id', 'title', 'similarity',
+          ...(options.textThreshold !== undefined ? ['textSimilarity'] : [])];
+        writeOutput(options.format, { data: report, records: report.clusters, rows, columns });
+        return;
+      }
+
+      report.clusters.forEach((cluster, i) => {
+        stdout.log(chalk.bold(`\nCluster ${i + 1}`), chalk.gray(`(${cluster.members.length} entries)`));
+        for (const member of cluster.members) {
+          const similarity = member.id === cluster.canonical
+            ? chalk.green('kept')
+            : chalk.gray(`similarity ${member.similarity.toFixed(4)}` +
+              (member.textSimilarity !== undefined ? `, text ${member.textSimilarity.toFixed(4)}` : ''));
+          stdout.log(`  ${member.id}: ${member.title || 'Untitled'} `, similarity);
+        }
+      });
+    } catch (error) {
+      spinner.fail(`Deduplication failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Command to cluster entries into topics
+program
+  .command('topics')
+  .description('Cluster the indexed entries into topics labelled with their most distinctive terms')
+  .option('-i, --index <dir>', 'Index directory', './index')
+  .option('-k, --k <n>', 'Number of topics (default: estimated)', parseInteger)
+  .option('--max-k <n>', 'Largest number of topics tried when estimating', parseInteger, 20)
+  .option('--terms <n>', 'Label terms per topic', parseInteger, 5)
+  .option('--representatives <n>', 'Entries shown per topic', parseInteger, 3)
+  .option('--seed <n>', 'Random seed for the initial cluster centres', parseInteger, 42)
+  .option('-o, --output <file>', 'Write the entries to this JSONL file with their topic number')
+  .option('--field <name>', 'Field holding the topic number in --output', 'topic')
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
+  .action(async (options) => {
+    if (!fs.existsSync(options.index)) {
+      console.error(chalk.red(`Index not found: ${options.index}`));
+      process.exit(1);
+    }
+
+    const spinner = ora('Clustering...').start();
+    try {
+      const report = await findTopics({
+        indexDir: options.index,
+        k: options.k,
+        maxK: options.maxK,
+        terms: options.terms,
+        representatives: options.representatives,
+        seed: options.seed,
+        output: options.output,
+        field: options.field
+      });
+
+      spinner.succeed(`Found ${report.k} topics among ${report.entries} entries` +
+        (report.estimated ? ` (silhouette ${report.silhouette.toFixed(4)})` : ''));
+      if (options.output) {
+        const unindexed = report.unindexed ? `, including ${report.unindexed} lines that were not indexed` : '';
+        console.error(chalk.green(`Wrote ${report.written} entries to ${options.output}${unindexed}`));
+      }
+
+      if (options.format !== 'text') {
+        const rows = report.topics.map(topic => ({
+          topic: topic.topic,
+          size: topic.size,
+          label: topic.label,
+          representatives: topic.representatives.map(entry => entry.title || entry.id).join('; ')
+        }));
+        writeOutput(options.format, { data: report, records: report.topics, rows, columns: ['topic', 'size', 'label', 'representatives'] });
+        return;
+      }
+
+      for (const topic of report.topics) {
+        stdout.log(chalk.bold(`\nTopic ${topic.topic}: ${topic.label || '(no distinctive terms)'}`),
+          chalk.gray(`(${topic.size} entries)`));
+        for (const entry of topic.representatives) {
+          stdout.log(`  ${entry.id}: ${entry.title || 'Untitled'} `, chalk.gray(`similarity ${entry.similarity.toFixed(4)}`));
+        }
+      }
+    } catch (error) {
+      spinner.fail(`Clustering failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Command to serve an index over HTTP
+program
+  .command('serve')
+  .description('Load an index once and serve searches over a JSON HTTP API')
+  .option('-i, --index <dir>', 'Index directory', './index')
+  .option('--host <host>', 'Host to listen on', '127.0.0.1')
+  .option('-P, --port <n>', 'Port to listen on', parseInteger, 3000)
+  .option('--max-body <bytes>', 'Maximum request body size in bytes', parseInteger, 1024 * 1024)
+  .option('--concurrency <n>', 'Maximum number of searches run at once', parseInteger, 4)
+  .option('--max-queue <n>', 'Maximum number of waiting searches before requests are rejected', parseInteger, 100)
+  .option('--no-reload', 'Keep serving the loaded index when it changes on disk')
+  .option('--api-base <url>', 'Override the OpenAI-compatible embeddings server stored in the index')
+  .option('--api-key <key>', 'API key for the embedding provider')
+  .option('--lazy-vectors', 'Read vectors from disk on demand instead of loading them into memory')
+  .option('--no-cache', 'Always embed queries instead of using the embedding cache')
+  .option('--cache-dir <dir>', 'Embedding cache directory (default: ~/.cache/jsonl-semantic-search)')
+  .option('--keyword-fallback', 'Rank by keywords only, with a warning, when a query can\'t be embedded (default: respond with 502)')
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
+  .option('--hf-api-key <key>', 'Hugging Face API key for embedding generation')
+  .action(async (options) => {
+    // Set Hugging Face API key if provided
+    if (options.hfApiKey) {
+      process.env.HF_API_KEY = options.hfApiKey;
+    }
+    const spinner = ora('Loading index...').start();
+    try {
+      const server = await startServer({
+        indexDir: options.index,
+        host: options.host,
+        port: options.port,
+        maxBodySize: options.maxBody,
+        concurrency: options.concurrency,
+        maxQueue: options.maxQueue,
+        autoReload: options.reload,
+        preload: options.lazyVectors ? false : undefined,
+        baseUrl: options.apiBase,
+        apiKey: options.apiKey,
+        cache: options.cache,
+        cacheDir: options.cacheDir,
+        onEmbeddingError: options.keywordFallback ? 'keyword' : undefined,
+        logger
+      });
+
+      const { address, port } = server.address();
+      spinner.succeed(`Serving ${options.index} at http://${address}:${port}`);
+      if (options.format !== 'text') {
+        const listening = { indexDir: options.index, url: `http://${address}:${port}`, host: address, port };
+        writeOutput(options.format, { data: listening, rows: [listening] });
+      }
+
+      // Stop accepting requests and close the index on Ctrl+C
+      process.once('SIGINT', () => {
+        console.error(chalk.gray('\nShutting down...'));
+        server.close(() => process.exit(0));
+      });
+    } catch (error) {
+      spinner.fail(`Server failed to start: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Command to migrate an index to the current storage format
+program
+  .command('migrate')
+  .description('Upgrade an older index to binary vector storage and BM25 keyword scoring')
+  .argument('[dir]', 'Index directory', './index')
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
+  .action(async (dir, options) => {
+    const spinner = ora('Migrating index...').start();
+    try {
+      const migrated = await migrateIndex(dir, { logger });
+      spinner.succeed(migrated ? `Index migrated at ${dir}` : `Index at ${dir} is already up to date`);
+      if (options.format !== 'text') {
+        writeOutput(options.format, { data: { indexDir: dir, migrated }, rows: [{ indexDir: dir, migrated }] });
+      }
+    } catch (error) {
+      spinner.fail(`Migration failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Commands to inspect and manage the embedding cache
+const cacheCommand = program
+  .command('cache')
+  .description('Inspect or clear the embedding cache');
+
+cacheCommand
+  .command('info')
+  .description('Show the models and number of embeddings in the cache')
+  .option('--cache-dir <dir>', 'Embedding cache directory (default: ~/.cache/jsonl-semantic-search)')
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
+  .action((options) => {
+    const info = getCacheInfo({ cacheDir: options.cacheDir });
+
+    if (options.format !== 'text') {
+      writeOutput(options.format, {
+        data: info,
+        rows: info.models,
+        columns: ['name', 'model', 'baseUrl', 'dimension', 'entries', 'size', 'lastUsed']
+      });
+      return;
+    }
+
+    stdout.log(chalk.bold('Embedding cache:'), info.dir);
+    stdout.log(chalk.cyan(`Total: ${info.entries} embeddings, ${formatFileSize(info.size)}`));
+    for (const model of info.models) {
+      stdout.log(chalk.yellow(`\n${model.name}:${model.model}`) + (model.baseUrl ? chalk.gray(` (${model.baseUrl})`) : ''));
+      stdout.log(`  Dimension: ${model.dimension}`);
+      stdout.log(`  Embeddings: ${model.entries}`);
+      stdout.log(`  Size: ${formatFileSize(model.size)}`);
+      stdout.log(`  Last used: ${model.lastUsed}`);
+    }
+  });
+
+cacheCommand
+  .command('clear')
+  .description('Remove cached embeddings')
+  .option('-m, --model <name>', 'Only remove embeddings of this model ("model" or "provider:model")')
+  .option('--cache-dir <dir>', 'Embedding cache directory (default: ~/.cache/jsonl-semantic-search)')
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
+  .action((options) => {
+    const removed = clearCache({ cacheDir: options.cacheDir, model: options.model });
+    if (options.format !== 'text') {
+      writeOutput(options.format, { data: removed, rows: [removed] });
+      return;
+    }
+    stdout.log(chalk.green(`Removed ${removed.entries} embeddings of ${removed.models} models`));
+  });
+
+cacheCommand
+  .command('prune')
+  .description('Shrink the cache to a size limit, dropping the least recently used embeddings')
+  .option('--cache-size <mb>', 'Size limit in megabytes', parseInteger, DEFAULT_CACHE_SIZE)
+  .option('--cache-dir <dir>', 'Embedding cache directory (default: ~/.cache/jsonl-semantic-search)')
+  .option('--format <format>', FORMAT_DESCRIPTION, parseFormat, 'text')
+  .action((options) => {
+    const removed = pruneCache({ cacheDir: options.cacheDir, cacheSize: options.cacheSize });
+    if (options.format !== 'text') {
+      writeOutput(options.format, { data: { entries: removed }, rows: [{ entries: removed }] });
+      return;
+    }
+    stdout.log(chalk.green(`Removed ${removed} embeddings`));
+  });
+
 program.parse();
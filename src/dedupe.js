@@ -0,0 +1,304 @@
+import fs from 'fs';
+import readline from 'readline';
+import { openIndex } from './searcher.js';
+import { entryKey } from './indexer.js';
+import { getPathValue } from './fields.js';
+import { createLineWriter } from './line-writer.js';
+
+/**
+ * Rules for picking the entry kept from each cluster of near-duplicates
+ * @type {string[]}
+ */
+export const KEEP_RULES = ['first', 'longest', 'newest'];
+
+/**
+ * Finds clusters of near-duplicate entries in an index. Entries are compared
+ * by the mean of their stored passage embeddings; when a text threshold is
+ * set, pairs must also share enough word shingles. Duplicates of duplicates
+ * join the same cluster, so through a chain of close pairs a member can end up
+ * below the thresholds against the canonical entry; its `similarity` and
+ * `textSimilarity` to the canonical entry show this.
+ * @param {Object} options - Options
+ * @param {string} [options.indexDir='./index'] - Directory containing the index
+ * @param {number} [options.threshold=0.95] - Minimum cosine similarity of two duplicates
+ * @param {number} [options.textThreshold] - Minimum Jaccard similarity of the two entries' word
+ *   shingles (default: text is not compared)
+ * @param {number} [options.shingleSize=3] - Words per shingle
+ * @param {string} [options.keep='first'] - Which entry of a cluster is canonical: 'first' in the
+ *   index, 'longest' content or 'newest' by `dateField` (see KEEP_RULES)
+ * @param {string} [options.dateField] - Path of the original entry's date, for 'newest'
+ * @param {boolean} [options.exact=false] - Compare every pair of entries instead of the
+ *   neighbours found through the HNSW graph
+ * @param {number} [options.neighbors=20] - Nearest other entries compared with each entry in the graph
+ * @param {string} [options.output] - Write the original entries to this JSONL file, keeping only
+ *   the canonical entry of each cluster
+ * @param {string} [options.input] - JSONL file the index was built from; with an output file, its
+ *   lines are copied instead of the indexed entries, so lines that were not indexed (such as
+ *   entries without content) are kept as written. Duplicates and repeated keys are left out.
+ * @param {boolean|number} [options.preload] - Whether to load vectors into memory up front
+ * @returns {Promise<Object>} `indexDir`, `threshold`, `textThreshold`, `keep`, `entries` (count),
+ *   `clusters` (each with its `canonical` id and its `members`, canonical first: ids and titles
+ *   with their `similarity`, and `textSimilarity` when compared, to the canonical entry),
+ *   `duplicates` (entries that are not canonical) and, with an output file, `written`, and with
+ *   an input file, `unindexed` (lines written that are not in the index)
+ */
+export async function findDuplicates(options = {}) {
+  const {
+    indexDir = './index',
+    threshold = 0.95,
+    textThreshold,
+    shingleSize = 3,
+    keep = 'first',
+    dateField,
+    exact = false,
+    neighbors = 20,
+    output,
+    input,
+    preload
+  } = options;
+
+  if (!KEEP_RULES.includes(keep)) {
+    throw new Error(`Unknown keep rule '${keep}' (available: ${KEEP_RULES.join(', ')})`);
+  }
+  if (keep === 'newest' && !dateField) {
+    throw new Error('Keeping the newest entry needs a date field');
+  }
+  if (!Number.isInteger(shingleSize) || shingleSize < 1) {
+    throw new Error(`Shingle size must be a positive integer, got ${shingleSize}`);
+  }
+  if (input && !fs.existsSync(input)) {
+    throw new Error(`Input file not found: ${input}`);
+  }
+
+  const handle = await openIndex(indexDir, { preload });
+  try {
+    const { entries } = handle;
+    const vectors = entryVectors(handle);
+    const shingles = new Map();
+    const textSimilarity = (i, j) => {
+      for (const position of [i, j]) {
+        if (!shingles.has(position)) shingles.set(position, shingleSet(entries[position].content, shingleSize));
+      }
+      return jaccard(shingles.get(i), shingles.get(j));
+    };
+    const isDuplicate = (i, j) => dot(vectors[i], vectors[j]) >= threshold &&
+      (textThreshold === undefined || textSimilarity(i, j) >= textThreshold);
+
+    // Link every duplicate pair; linked entries form a cluster
+    const parent = Int32Array.from(entries.keys());
+    const find = i => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    const link = (i, j) => {
+      const a = find(i);
+      const b = find(j);
+      if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+    };
+
+    const graph = exact ? null : handle.getGraph();
+    const { firstRow, entryOf } = handle.passages;
+    for (let i = 0; i < entries.length; i++) {
+      // The entry's own passages are among its nearest, so they are fetched on top
+      const fetched = neighbors + firstRow[i + 1] - firstRow[i];
+      const others = graph
+        ? [...new Set(graph.search(vectors[i], fetched, { ef: Math.max(100, fetched) })
+          .map(({ node }) => entryOf[node])
+          .filter(j => j !== i))].slice(0, neighbors)
+        : Array.from({ length: entries.length - i - 1 }, (_, n) => i + n + 1);
+      for (const j of others) {
+        if (find(i) !== find(j) && isDuplicate(i, j)) link(i, j);
+      }
+    }
+
+    const groups = new Map();
+    entries.forEach((_, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(i);
+    });
+
+    const rank = keepRank(entries, keep, dateField);
+    const canonical = new Set();
+    const clusters = [];
+    for (const members of groups.values()) {
+      const kept = members.reduce((best, i) => (rank(i) > rank(best) ? i : best));
+      canonical.add(kept);
+      if (members.length === 1) continue;
+
+      clusters.push({
+        canonical: entries[kept].id,
+        members: [kept, ...members.filter(i => i !== kept)].map(i => ({
+          id: entries[i].id,
+          title: entries[i].title,
+          similarity: Math.min(dot(vectors[kept], vectors[i]), 1),
+          ...(textThreshold !== undefined && { textSimilarity: textSimilarity(kept, i) })
+        }))
+      });
+    }
+
+    const report = {
+      indexDir,
+      threshold,
+      ...(textThreshold !== undefined && { textThreshold }),
+      keep,
+      entries: entries.length,
+      clusters,
+      duplicates: entries.length - canonical.size
+    };
+
+    if (output && input) {
+      const { keyField } = handle.metadata;
+      const keys = entries.map(entry => entryKey(entry.originalEntry, keyField));
+      const dropped = new Set(keys.filter((_, i) => !canonical.has(i)));
+      Object.assign(report, await copyEntries(input, output, { keyField, indexed: new Set(keys), dropped }));
+    } else if (output) {
+      const writer = createLineWriter(output);
+      entries.forEach((entry, i) => {
+        if (canonical.has(i)) writer.write(JSON.stringify(entry.originalEntry) + '\n');
+      });
+      writer.close();
+      report.written = canonical.size;
+    }
+
+    return report;
+  } finally {
+    handle.close();
+  }
+}
+
+/**
+ * Copies the lines of a JSONL file, leaving out the entries dropped as
+ * duplicates and, as indexing does, lines repeating the key of an earlier one
+ * @param {string} input - JSONL file the index was built from
+ * @param {string} output - File to write
+ * @param {Object} options - Options
+ * @param {string} [options.keyField] - Key field of the index
+ * @param {Set<string>} options.indexed - Keys of the indexed entries
+ * @param {Set<string>} options.dropped - Keys of the entries to leave out
+ * @returns {Promise<{written: number, unindexed: number}>} Lines written, and those of them
+ *   that are not in the index
+ */
+async function copyEntries(input, output, { keyField, indexed, dropped }) {
+  const writer = createLineWriter(output);
+  const seen = new Set();
+  let written = 0;
+  let unindexed = 0;
+  try {
+    const rl = readline.createInterface({ input: fs.createReadStream(input), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (line.trim() === '') continue;
+
+      let key = null;
+      try {
+        key = entryKey(JSON.parse(line), keyField);
+      } catch {
+        // Lines that are not JSON were not indexed, and are kept as they are
+      }
+      if (key !== null && (dropped.has(key) || seen.has(key))) continue;
+      if (key !== null) seen.add(key);
+
+      writer.write(line + '\n');
+      written++;
+      if (!indexed.has(key)) unindexed++;
+    }
+  } finally {
+    writer.close();
+  }
+  return { written, unindexed };
+}
+
+/**
+ * Averages the passage embeddings of each entry into one unit vector
+ * @param {Object} handle - The open index
+ * @returns {Float32Array[]} Vector per entry position
+ */
+export function entryVectors(handle) {
+  return handle.entries.map((_, i) => entryVector(handle, i));
+}
+
+/**
+ * Averages the passage embeddings of one entry into a unit vector
+ * @param {Object} handle - The open index
+ * @param {number} i - Entry position
+ * @returns {Float32Array} The vector
+ */
+export function entryVector(handle, i) {
+  const { vectors, passages } = handle;
+  let sum = null;
+  for (let row = passages.firstRow[i]; row < passages.firstRow[i + 1]; row++) {
+    const vector = vectors.get('content', row);
+    sum = sum || new Float32Array(vector.length);
+    for (let d = 0; d < vector.length; d++) sum[d] += vector[d];
+  }
+  const norm = Math.sqrt(dot(sum, sum)) || 1;
+  return sum.map(value => value / norm);
+}
+
+/**
+ * Orders the entries of a cluster by a keep rule; ties go to the entry first in the index
+ * @param {Array<Object>} entries - Index entries
+ * @param {string} keep - Keep rule (see KEEP_RULES)
+ * @param {string} [dateField] - Path of the original entry's date
+ * @returns {function(number): number} Rank of an entry position, highest kept
+ */
+function keepRank(entries, keep, dateField) {
+  switch (keep) {
+    case 'longest':
+      return i => entries[i].content.length;
+    case 'newest':
+      return i => {
+        const value = getPathValue(entries[i].originalEntry, dateField);
+        const time = typeof value === 'number' ? value : Date.parse(value);
+        return Number.isNaN(time) ? -Infinity : time;
+      };
+    default:
+      return i => -i;
+  }
+}
+
+/**
+ * Collects the word shingles of a text
+ * @param {string} text - The text
+ * @param {number} size - Words per shingle
+ * @returns {Set<string>} Shingles; a text shorter than one shingle is a single shingle
+ */
+function shingleSet(text, size) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const shingles = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    shingles.add(words.slice(i, i + size).join(' '));
+  }
+  if (shingles.size === 0 && words.length > 0) shingles.add(words.join(' '));
+  return shingles;
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Shared items divided by all items (1 for two empty sets)
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Dot product of two vectors, their cosine similarity when both are unit vectors
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} The dot product
+ */
+export function dot(a, b) {
+  let sum = 0;
+  for (let d = 0; d < a.length; d++) sum += a[d] * b[d];
+  return sum;
+}
@@ -0,0 +1,461 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+// Bytes of the SHA-1 text hash at the start of each record
+const HASH_BYTES = 20;
+
+// Records read at a time when scanning a cache file
+const SCAN_RECORDS = 4096;
+
+// A lock held longer than this is assumed to belong to a crashed process
+const STALE_LOCK_MS = 10000;
+
+// Share of the size limit a model's cache is trimmed to when it alone exceeds the limit
+const TRIM_RATIO = 0.9;
+
+/**
+ * Default size limit of the embedding cache, in megabytes
+ * @type {number}
+ */
+export const DEFAULT_CACHE_SIZE = 1024;
+
+// Open model caches, keyed by file, shared by indexing and searching in one process
+const stores = new Map();
+
+/**
+ * Gets the default cache directory: $JSONL_SEARCH_CACHE_DIR, or
+ * ~/.cache/jsonl-semantic-search
+ * @returns {string} Cache directory
+ */
+export function defaultCacheDir() {
+  return process.env.JSONL_SEARCH_CACHE_DIR || path.join(os.homedir(), '.cache', 'jsonl-semantic-search');
+}
+
+/**
+ * Wraps an embedding provider with the on-disk embedding cache. Embeddings
+ * are stored per provider name, model, server and requested dimension, and
+ * looked up by a hash of the text, so only texts never embedded before with
+ * the same model reach the provider. The dimension is recorded by the cache
+ * when it is first written; a provider whose vectors have another dimension
+ * bypasses it, with a warning.
+ *
+ * Providers that are cheaper to run than to read from disk can opt out by
+ * setting `cacheable: false`.
+ * @param {import('./embeddings.js').EmbeddingProvider} provider - The provider to wrap
+ * @param {Object} [options] - Cache options
+ * @param {boolean} [options.cache=true] - Whether to use the cache at all
+ * @param {string} [options.cacheDir] - Cache directory (default: see defaultCacheDir)
+ * @param {number} [options.cacheSize=1024] - Size limit of the whole cache in megabytes
+ * @param {Object} [options.logger=console] - Receives the dimension mismatch warning
+ * @returns {import('./embeddings.js').EmbeddingProvider} The cached provider, with
+ *   `cacheStats` counting texts served from the cache (`hits`) and embedded (`misses`)
+ */
+export function cacheEmbeddings(provider, options = {}) {
+  const { cache = true, cacheDir = defaultCacheDir(), cacheSize = DEFAULT_CACHE_SIZE, logger = console } = options;
+  if (!cache || provider.cacheable === false) return provider;
+
+  const { name, model, baseUrl, requestedDimension } = provider.describe();
+  const store = openStore(cacheDir, { name, model, baseUrl, requestedDimension });
+  const maxBytes = cacheSize * 1024 * 1024;
+  const cacheStats = { hits: 0, misses: 0 };
+  let warned = false;
+
+  // Whether vectors of the given dimension match the cached ones
+  const matchesStore = dimension => {
+    const matches = dimension == null || store.dimension === null || dimension === store.dimension;
+    if (!matches && !warned) {
+      logger.warn(`Embeddings of ${name}:${model} have ${dimension} dimensions, but the cache holds ${store.dimension}; not caching them`);
+      warned = true;
+    }
+    return matches;
+  };
+
+  return {
+    get name() {
+      return provider.name;
+    },
+    get model() {
+      return provider.model;
+    },
+    get dimension() {
+      return provider.dimension ?? store.dimension;
+    },
+    cacheStats,
+
+    async embed(texts) {
+      if (!matchesStore(provider.dimension)) return provider.embed(texts);
+
+      const hashes = texts.map(hashText);
+      const embeddings = store.get(hashes);
+
+      // Texts repeated within the batch are embedded once
+      const missing = new Map();
+      hashes.forEach((hash, i) => {
+        if (!embeddings[i]) missing.set(hash, texts[i]);
+      });
+      cacheStats.hits += texts.length - missing.size;
+      cacheStats.misses += missing.size;
+      if (missing.size === 0) return embeddings;
+
+      const generated = await provider.embed([...missing.values()]);
+      const byHash = new Map([...missing.keys()].map((hash, i) => [hash, generated[i]]));
+      if (matchesStore(generated[0]?.length)) store.put(byHash);
+      hashes.forEach((hash, i) => {
+        if (!embeddings[i]) embeddings[i] = byHash.get(hash);
+      });
+
+      if (store.takeWrittenBytes(maxBytes / 16)) {
+        pruneCache({ cacheDir, cacheSize });
+      }
+      return embeddings;
+    },
+
+    describe() {
+      return provider.describe();
+    }
+  };
+}
+
+/**
+ * Describes the contents of the embedding cache
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.cacheDir] - Cache directory (default: see defaultCacheDir)
+ * @returns {{dir: string, size: number, entries: number, models: Array<Object>}} Total size in
+ *   bytes and entry count, and per model its provider settings, `entries`, `size` and `lastUsed`
+ */
+export function getCacheInfo(options = {}) {
+  const { cacheDir = defaultCacheDir() } = options;
+  const models = listModels(cacheDir).map(model => ({
+    ...model.provider,
+    dimension: model.dimension,
+    entries: model.entries,
+    size: model.size,
+    lastUsed: new Date(model.lastUsed).toISOString()
+  }));
+
+  return {
+    dir: cacheDir,
+    size: models.reduce((sum, model) => sum + model.size, 0),
+    entries: models.reduce((sum, model) => sum + model.entries, 0),
+    models
+  };
+}
+
+/**
+ * Removes cached embeddings
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.cacheDir] - Cache directory (default: see defaultCacheDir)
+ * @param {string} [options.model] - Only remove embeddings of this model, given as
+ *   "model" or "provider:model"
+ * @returns {{models: number, entries: number}} Number of models and entries removed
+ */
+export function clearCache(options = {}) {
+  const { cacheDir = defaultCacheDir(), model } = options;
+  if (!fs.existsSync(cacheDir)) return { models: 0, entries: 0 };
+
+  return withLock(cacheDir, () => {
+    const removed = listModels(cacheDir).filter(({ provider }) =>
+      !model || provider.model === model || `${provider.name}:${provider.model}` === model);
+
+    removed.forEach(removeModel);
+    return {
+      models: removed.length,
+      entries: removed.reduce((sum, entry) => sum + entry.entries, 0)
+    };
+  });
+}
+
+/**
+ * Shrinks the embedding cache to its size limit. The least recently used
+ * models are removed first; if a single model is over the limit on its own,
+ * its oldest embeddings are dropped.
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.cacheDir] - Cache directory (default: see defaultCacheDir)
+ * @param {number} [options.cacheSize=1024] - Size limit in megabytes
+ * @returns {number} Number of entries removed
+ */
+export function pruneCache(options = {}) {
+  const { cacheDir = defaultCacheDir(), cacheSize = DEFAULT_CACHE_SIZE } = options;
+  const maxBytes = cacheSize * 1024 * 1024;
+  if (!fs.existsSync(cacheDir)) return 0;
+
+  return withLock(cacheDir, () => {
+    const models = listModels(cacheDir).sort((a, b) => a.lastUsed - b.lastUsed);
+    let total = models.reduce((sum, model) => sum + model.size, 0);
+    let removed = 0;
+
+    while (total > maxBytes && models.length > 1) {
+      const model = models.shift();
+      removeModel(model);
+      total -= model.size;
+      removed += model.entries;
+    }
+
+    if (total > maxBytes && models.length === 1) {
+      removed += trimModel(models[0], Math.floor(maxBytes * TRIM_RATIO / models[0].recordBytes));
+    }
+    return removed;
+  });
+}
+
+/**
+ * Lists the models in a cache directory
+ * @param {string} dir - Cache directory
+ * @returns {Array<Object>} Models with their files, provider settings, dimension,
+ *   record size, entry count, size in bytes and last use time
+ */
+function listModels(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const headerFile = path.join(dir, file);
+      const dataFile = headerFile.replace(/\.json$/, '.bin');
+      const { provider, dimension } = JSON.parse(fs.readFileSync(headerFile, 'utf8'));
+      const recordBytes = HASH_BYTES + dimension * 4;
+      const size = fs.existsSync(dataFile) ? fs.statSync(dataFile).size : 0;
+
+      return {
+        headerFile,
+        dataFile,
+        provider,
+        dimension,
+        recordBytes,
+        entries: Math.floor(size / recordBytes),
+        size,
+        lastUsed: fs.statSync(headerFile).mtimeMs
+      };
+    });
+}
+
+/**
+ * Deletes the files of a cached model
+ * @param {Object} model - Model from listModels
+ */
+function removeModel(model) {
+  fs.rmSync(model.dataFile, { force: true });
+  fs.rmSync(model.headerFile, { force: true });
+}
+
+/**
+ * Keeps only the newest embeddings of a cached model
+ * @param {Object} model - Model from listModels
+ * @param {number} keep - Number of entries to keep
+ * @returns {number} Number of entries removed
+ */
+function trimModel(model, keep) {
+  const drop = model.entries - keep;
+  if (drop <= 0) return 0;
+
+  // Entries are appended, so the oldest are at the start of the file
+  const trimmedFile = `${model.dataFile}.tmp`;
+  const input = fs.openSync(model.dataFile, 'r');
+  const output = fs.openSync(trimmedFile, 'w');
+  try {
+    const buffer = Buffer.alloc(model.recordBytes * SCAN_RECORDS);
+    for (let record = drop; record < model.entries; record += SCAN_RECORDS) {
+      const bytes = Math.min(SCAN_RECORDS, model.entries - record) * model.recordBytes;
+      fs.readSync(input, buffer, 0, bytes, record * model.recordBytes);
+      fs.writeSync(output, buffer, 0, bytes);
+    }
+  } finally {
+    fs.closeSync(input);
+    fs.closeSync(output);
+  }
+
+  fs.renameSync(trimmedFile, model.dataFile);
+  return drop;
+}
+
+/**
+ * Gets the open cache of one set of provider settings
+ * @param {string} dir - Cache directory
+ * @param {Object} settings - Provider name, model and server
+ * @returns {Object} The model cache
+ */
+function openStore(dir, settings) {
+  const name = crypto.createHash('sha1').update(JSON.stringify(settings)).digest('hex').slice(0, 16);
+  const dataFile = path.join(dir, `${name}.bin`);
+
+  if (!stores.has(dataFile)) {
+    stores.set(dataFile, createStore(dir, name, settings));
+  }
+  return stores.get(dataFile);
+}
+
+/**
+ * Creates the cache of one set of provider settings. Records of a text hash
+ * followed by its vector are appended to `<name>.bin`; `<name>.json` holds
+ * the settings and dimension, and its modification time marks the last use.
+ * Several processes may share a cache: appends happen under a lock, and
+ * records written by others are picked up before each lookup.
+ * @param {string} dir - Cache directory
+ * @param {string} name - File name, derived from the settings
+ * @param {Object} settings - Provider settings
+ * @returns {Object} Cache with `dimension`, `get(hashes)`, `put(vectorsByHash)` and `takeWrittenBytes(min)`
+ */
+function createStore(dir, name, settings) {
+  const dataFile = path.join(dir, `${name}.bin`);
+  const headerFile = path.join(dir, `${name}.json`);
+  let dimension = null;
+  let recordBytes = 0;
+  let positions = new Map();
+  let scanned = 0;
+  let fd = null;
+  let inode = null;
+  let written = 0;
+
+  const readHeader = () => {
+    if (dimension !== null || !fs.existsSync(headerFile)) return;
+    dimension = JSON.parse(fs.readFileSync(headerFile, 'utf8')).dimension;
+    recordBytes = HASH_BYTES + dimension * 4;
+
+    const now = new Date();
+    fs.utimesSync(headerFile, now, now);
+  };
+
+  // Indexes records added since the last call, starting over when the file
+  // was removed or trimmed
+  const sync = () => {
+    readHeader();
+    if (dimension === null) return;
+
+    const stats = fs.existsSync(dataFile) ? fs.statSync(dataFile) : null;
+    if (!stats || stats.ino !== inode) {
+      if (fd !== null) fs.closeSync(fd);
+      fd = stats ? fs.openSync(dataFile, 'r') : null;
+      inode = stats ? stats.ino : null;
+      positions = new Map();
+      scanned = 0;
+      if (!stats) return;
+    }
+
+    const total = Math.floor(stats.size / recordBytes);
+    const buffer = Buffer.alloc(recordBytes * SCAN_RECORDS);
+    while (scanned < total) {
+      const records = Math.min(SCAN_RECORDS, total - scanned);
+      fs.readSync(fd, buffer, 0, records * recordBytes, scanned * recordBytes);
+      for (let i = 0; i < records; i++) {
+        const offset = i * recordBytes;
+        positions.set(buffer.toString('hex', offset, offset + HASH_BYTES), scanned + i);
+      }
+      scanned += records;
+    }
+  };
+
+  return {
+    get dimension() {
+      return dimension;
+    },
+
+    /**
+     * Looks up vectors by text hash
+     * @param {string[]} hashes - Hex text hashes
+     * @returns {Array<Array<number>|undefined>} The cached vectors, undefined where missing
+     */
+    get(hashes) {
+      sync();
+      return hashes.map(hash => {
+        const position = positions.get(hash);
+        if (position === undefined) return undefined;
+
+        const vector = new Float32Array(dimension);
+        fs.readSync(fd, vector, 0, dimension * 4, position * recordBytes + HASH_BYTES);
+        return Array.from(vector);
+      });
+    },
+
+    /**
+     * Adds vectors to the cache. Vectors of another dimension than the cached
+     * ones are not stored.
+     * @param {Map<string, Array<number>>} vectorsByHash - Vectors by hex text hash
+     */
+    put(vectorsByHash) {
+      fs.mkdirSync(dir, { recursive: true });
+      withLock(dir, () => {
+        if (!fs.existsSync(headerFile)) {
+          const [first] = vectorsByHash.values();
+          dimension = dimension ?? first.length;
+          recordBytes = HASH_BYTES + dimension * 4;
+          fs.writeFileSync(headerFile, JSON.stringify({ provider: settings, dimension }));
+        }
+        sync();
+
+        // Drop a partial record left by a process that crashed while writing
+        if (fs.existsSync(dataFile) && fs.statSync(dataFile).size !== scanned * recordBytes) {
+          fs.truncateSync(dataFile, scanned * recordBytes);
+        }
+
+        const records = [...vectorsByHash]
+          .filter(([hash, vector]) => !positions.has(hash) && vector.length === dimension)
+          .map(([hash, vector]) => Buffer.concat([
+            Buffer.from(hash, 'hex'),
+            Buffer.from(Float32Array.from(vector).buffer)
+          ]));
+        if (records.length === 0) return;
+
+        fs.appendFileSync(dataFile, Buffer.concat(records));
+        written += records.length * recordBytes;
+        sync();
+      });
+    },
+
+    /**
+     * Reports whether at least `min` bytes were written since the last
+     * report, resetting the count if so
+     * @param {number} min - Threshold in bytes
+     * @returns {boolean} True if the threshold was reached
+     */
+    takeWrittenBytes(min) {
+      if (written < min) return false;
+      written = 0;
+      return true;
+    }
+  };
+}
+
+/**
+ * Runs a function while holding the lock of a cache directory
+ * @param {string} dir - Cache directory
+ * @param {function(): any} fn - Function to run
+ * @returns {any} The function's result
+ */
+function withLock(dir, fn) {
+  const lockFile = path.join(dir, '.lock');
+  const pause = new Int32Array(new SharedArrayBuffer(4));
+
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockFile, 'wx'));
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS) {
+          fs.rmSync(lockFile, { force: true });
+        }
+      } catch (statError) {
+        // Released in the meantime
+      }
+      Atomics.wait(pause, 0, 0, 10);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockFile, { force: true });
+  }
+}
+
+/**
+ * Hashes a text for cache lookups
+ * @param {string} text - The text
+ * @returns {string} Hex SHA-1 digest
+ */
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
@@ -0,0 +1,411 @@
+import { HfInference } from '@huggingface/inference';
+import fetch from 'node-fetch';
+import pLimit from 'p-limit';
+
+// Provider used when neither --provider nor a "provider:" model prefix is given
+const DEFAULT_PROVIDER = 'huggingface';
+
+// Friendly model names mapped to Hugging Face model IDs and their dimensions
+const HF_MODELS = {
+  'universal-sentence-encoder': { modelId: 'sentence-transformers/all-MiniLM-L6-v2', dimension: 384 },
+  'sentence-transformers/all-MiniLM-L6-v2': { modelId: 'sentence-transformers/all-MiniLM-L6-v2', dimension: 384 },
+  'sentence-transformers/all-mpnet-base-v2': { modelId: 'sentence-transformers/all-mpnet-base-v2', dimension: 768 }
+};
+
+/**
+ * Default retry settings for embedding requests: attempts after the first,
+ * the initial delay in milliseconds (doubled per attempt) and the longest delay
+ * @type {{retries: number, retryDelay: number, maxRetryDelay: number}}
+ */
+export const RETRY_DEFAULTS = { retries: 3, retryDelay: 1000, maxRetryDelay: 30000 };
+
+// Network errors that are usually temporary
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+
+// Registered provider factories, keyed by provider name
+const providerFactories = {
+  huggingface: createHuggingFaceProvider,
+  openai: createOpenAIProvider,
+  local: createLocalProvider
+};
+
+/**
+ * An embedding provider turns texts into fixed-size vectors.
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name - Provider name (e.g. 'huggingface', 'openai', 'local')
+ * @property {string} model - Model identifier used by the provider
+ * @property {number|null} dimension - Vector dimension, or null until the first embedding is generated
+ * @property {function(string[]): Promise<Array<Array<number>>>} embed - Embeds a batch of texts
+ * @property {function(): Object} describe - Returns the settings to record in index metadata
+ * @property {boolean} [cacheable=true] - Whether embeddings are worth storing in the embedding cache
+ */
+
+/**
+ * Registers a custom embedding provider
+ * @param {string} name - Provider name, used with --provider or a "name:model" prefix
+ * @param {function(Object): EmbeddingProvider} factory - Creates the provider from its config
+ */
+export function registerProvider(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Provider factory for '${name}' must be a function`);
+  }
+  providerFactories[name] = factory;
+}
+
+/**
+ * Lists the names of all registered embedding providers
+ * @returns {string[]} Provider names
+ */
+export function listProviders() {
+  return Object.keys(providerFactories);
+}
+
+/**
+ * Resolves provider settings from user options.
+ * The provider can be given explicitly or as a prefix of the model name,
+ * e.g. "local:hashing" or "openai:text-embedding-3-small".
+ * @param {Object} options - Provider options
+ * @param {string} [options.provider] - Provider name
+ * @param {string} [options.model] - Model name, optionally prefixed with "provider:"
+ * @returns {Object} Provider config with `name` and `model` resolved
+ */
+export function resolveProviderConfig(options = {}) {
+  let { provider, model } = options;
+
+  if (!provider && model) {
+    const separator = model.indexOf(':');
+    if (separator > 0 && providerFactories[model.slice(0, separator)]) {
+      provider = model.slice(0, separator);
+      model = model.slice(separator + 1);
+    }
+  }
+
+  return {
+    ...options,
+    name: provider || DEFAULT_PROVIDER,
+    model
+  };
+}
+
+/**
+ * Creates an embedding provider
+ * @param {Object} options - Provider options
+ * @param {string} [options.provider] - Provider name (alias: options.name)
+ * @param {string} [options.model] - Model name
+ * @param {number} [options.dimension] - Vector dimension: the size of local vectors, or the known
+ *   dimension of a remote model, as recorded in index metadata
+ * @param {number} [options.requestedDimension] - Dimension to ask the openai provider for, for
+ *   models that can shorten their vectors; without it, the model's own dimension is used
+ * @param {string} [options.baseUrl] - Base URL of an OpenAI-compatible server
+ * @param {string} [options.apiKey] - API key for remote providers
+ * @param {Object} [options.logger=console] - Where the built-in providers report the model they
+ *   use, through `log` and `warn`
+ * @returns {EmbeddingProvider} The embedding provider
+ */
+export function createEmbeddingProvider(options = {}) {
+  const config = resolveProviderConfig({ ...options, provider: options.provider || options.name });
+  const factory = providerFactories[config.name];
+
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${config.name} (available: ${listProviders().join(', ')})`);
+  }
+
+  return factory(config);
+}
+
+/**
+ * Embeds texts with a provider, retrying failures that are likely to be
+ * temporary: rate limits, server errors, timeouts and dropped connections.
+ * Delays grow exponentially with some jitter, and a Retry-After sent with a
+ * rate limit response is honoured.
+ * @param {EmbeddingProvider} provider - The embedding provider
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} [options] - Retry options (defaults: RETRY_DEFAULTS)
+ * @param {number} [options.retries=3] - Attempts after the first one
+ * @param {number} [options.retryDelay=1000] - Delay before the first retry in milliseconds
+ * @param {number} [options.maxRetryDelay=30000] - Longest delay between attempts in milliseconds
+ * @param {Object} [options.logger=console] - Receives a warning before each retry
+ * @returns {Promise<Array<Array<number>>>} One embedding per text
+ * @throws {Error} With `code` 'EMBEDDING_FAILED', `retryable` and `cause` once attempts run out
+ *   or the error is not worth retrying
+ */
+export async function embedWithRetry(provider, texts, options = {}) {
+  const {
+    retries = RETRY_DEFAULTS.retries,
+    retryDelay = RETRY_DEFAULTS.retryDelay,
+    maxRetryDelay = RETRY_DEFAULTS.maxRetryDelay,
+    logger = console
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const embeddings = await provider.embed(texts);
+      if (embeddings.length !== texts.length) {
+        throw new Error(`Provider returned ${embeddings.length} embeddings for ${texts.length} texts`);
+      }
+      return embeddings;
+    } catch (error) {
+      const retryable = isRetryable(error);
+      if (!retryable || attempt >= retries) {
+        const attempts = attempt > 0 ? ` after ${attempt + 1} attempts` : '';
+        const failure = new Error(`Embedding with ${provider.name} failed${attempts}: ${error.message}`);
+        failure.code = 'EMBEDDING_FAILED';
+        failure.retryable = retryable;
+        failure.cause = error;
+        throw failure;
+      }
+
+      const backoff = Math.min(maxRetryDelay, retryDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+      const delay = error.retryAfter ?? backoff;
+      logger.warn(`Embedding request failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${retries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Decides whether a failed embedding request is worth retrying
+ * @param {Error} error - The error thrown by the provider
+ * @returns {boolean} True for rate limits, server errors and network failures
+ */
+function isRetryable(error) {
+  if (error.status) {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  if (RETRYABLE_CODES.includes(error.code)) {
+    return true;
+  }
+  // Hugging Face errors carry no status, only a message
+  return /rate limit|too many requests|overloaded|currently loading|timed? ?out|temporarily unavailable/i.test(error.message);
+}
+
+/**
+ * Reads the delay requested by a Retry-After (or retry-after-ms) header
+ * @param {Headers} headers - Response headers
+ * @returns {number|undefined} Delay in milliseconds, if the server sent one
+ */
+function parseRetryAfter(headers) {
+  const milliseconds = Number(headers.get('retry-after-ms'));
+  if (milliseconds > 0) return milliseconds;
+
+  const value = headers.get('retry-after');
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Creates a provider backed by the Hugging Face Inference API
+ * @param {Object} config - Provider config
+ * @returns {EmbeddingProvider} The provider
+ */
+function createHuggingFaceProvider(config) {
+  const model = config.model || 'universal-sentence-encoder';
+  const known = HF_MODELS[model];
+  const modelId = known ? known.modelId : model;
+  const apiKey = config.apiKey || process.env.HF_API_KEY || '';
+  const hf = new HfInference(apiKey);
+
+  // Set up concurrency limit for API calls
+  const limit = pLimit(config.concurrency || 5);
+  const logger = config.logger || console;
+
+  logger.log(`Using Hugging Face model: ${modelId}`);
+  if (!apiKey) {
+    logger.warn('No Hugging Face API key provided. Using the API without a key may result in rate limiting.');
+  }
+
+  const provider = {
+    name: 'huggingface',
+    model,
+    dimension: config.dimension || (known ? known.dimension : null),
+    async embed(texts) {
+      const embeddings = await Promise.all(texts.map(text => limit(async () => {
+        // Use the Hugging Face feature-extraction endpoint
+        const result = await hf.featureExtraction({
+          model: modelId,
+          inputs: text
+        });
+        return meanPool(result);
+      })));
+
+      provider.dimension = provider.dimension || embeddings[0]?.length || null;
+      return embeddings;
+    },
+    describe() {
+      return { name: provider.name, model: provider.model, dimension: provider.dimension };
+    }
+  };
+
+  return provider;
+}
+
+/**
+ * Creates a provider for any server implementing the OpenAI embeddings API
+ * (OpenAI itself, or local servers such as Ollama, LM Studio or vLLM)
+ * @param {Object} config - Provider config
+ * @returns {EmbeddingProvider} The provider
+ */
+function createOpenAIProvider(config) {
+  const model = config.model || 'text-embedding-3-small';
+  const baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY || '';
+  const batchSize = config.batchSize || 64;
+  const requestedDimension = config.requestedDimension || null;
+  const logger = config.logger || console;
+
+  logger.log(`Using OpenAI-compatible embeddings at ${baseUrl} with model ${model}`);
+
+  const provider = {
+    name: 'openai',
+    model,
+    baseUrl,
+    dimension: config.dimension || requestedDimension,
+    async embed(texts) {
+      const embeddings = [];
+
+      for (let i = 0; i < texts.length; i += batchSize) {
+        const body = { model, input: texts.slice(i, i + batchSize) };
+        // Only asked for when chosen: many models and servers reject the parameter
+        if (requestedDimension) {
+          body.dimensions = requestedDimension;
+        }
+
+        const response = await fetch(`${baseUrl}/embeddings`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+          },
+          body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+          const message = await response.text();
+          const error = new Error(`Embedding request failed with status ${response.status}: ${message.substring(0, 200)}`);
+          error.status = response.status;
+          error.retryAfter = parseRetryAfter(response.headers);
+          throw error;
+        }
+
+        const { data } = await response.json();
+        // Responses carry an index per input; don't rely on their order
+        data
+          .sort((a, b) => a.index - b.index)
+          .forEach(item => embeddings.push(item.embedding));
+      }
+
+      provider.dimension = provider.dimension || embeddings[0]?.length || null;
+      return embeddings;
+    },
+    describe() {
+      return {
+        name: provider.name,
+        model: provider.model,
+        dimension: provider.dimension,
+        ...(requestedDimension && { requestedDimension }),
+        baseUrl
+      };
+    }
+  };
+
+  return provider;
+}
+
+/**
+ * Creates a deterministic offline provider.
+ * Texts are embedded by feature hashing their words and character trigrams
+ * into a fixed number of buckets, so no model download or network is needed.
+ * Vectors capture lexical overlap rather than meaning.
+ * @param {Object} config - Provider config
+ * @returns {EmbeddingProvider} The provider
+ */
+function createLocalProvider(config) {
+  const model = config.model || 'hashing';
+  const dimension = config.dimension || 384;
+
+  if (model !== 'hashing') {
+    throw new Error(`Unknown local model: ${model} (available: hashing)`);
+  }
+
+  return {
+    name: 'local',
+    model,
+    dimension,
+    // Hashing is faster than reading vectors back from the cache
+    cacheable: false,
+    async embed(texts) {
+      return texts.map(text => hashingEmbedding(text, dimension));
+    },
+    describe() {
+      return { name: 'local', model, dimension };
+    }
+  };
+}
+
+/**
+ * Embeds a text by feature hashing its words and character trigrams
+ * @param {string} text - Text to embed
+ * @param {number} dimension - Number of hash buckets
+ * @returns {Array<number>} L2-normalized embedding
+ */
+export function hashingEmbedding(text, dimension) {
+  const vector = new Array(dimension).fill(0);
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  const addFeature = (feature, weight) => {
+    const hash = fnv1a(feature);
+    // Use the top bit for the sign so collisions tend to cancel out
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[(hash & 0x7fffffff) % dimension] += sign * weight;
+  };
+
+  for (const word of words) {
+    addFeature(`w:${word}`, 1);
+
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(`c:${padded.substring(i, i + 3)}`, 0.5);
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} str - String to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Reduces a feature-extraction result to a single sentence vector.
+ * Some models return one vector per token; those are mean-pooled.
+ * @param {Array} result - Feature-extraction output
+ * @returns {Array<number>} Sentence embedding
+ */
+function meanPool(result) {
+  const values = Array.from(result);
+  if (!Array.isArray(values[0]) && !ArrayBuffer.isView(values[0])) {
+    return values;
+  }
+
+  const rows = values.map(row => Array.from(row));
+  const pooled = new Array(rows[0].length).fill(0);
+  for (const row of rows) {
+    row.forEach((value, i) => { pooled[i] += value / rows.length; });
+  }
+  return pooled;
+}
@@ -0,0 +1,233 @@
+import fs from 'fs';
+import path from 'path';
+import { openIndex, searchOpenIndex } from './searcher.js';
+
+/**
+ * A search index kept open in memory for repeated searches.
+ *
+ * The engine notices when the index on disk is rebuilt or updated and
+ * reloads it before the next search. Searches already running finish on the
+ * index they started with; if the new files can't be loaded (for example
+ * because indexing is still in progress), the engine keeps serving the old
+ * index and tries again later.
+ *
+ * @example
+ * const engine = await SearchEngine.open('./index');
+ * const results = await engine.search('neural networks', { limit: 5 });
+ * engine.close();
+ */
+export class SearchEngine {
+  #handle = null;
+  #version = null;
+  #active = new Map();
+  #reloading = null;
+  #lastCheck = 0;
+  #loadedAt = null;
+  #reloads = 0;
+  #searches = 0;
+
+  /**
+   * Creates an engine; call load() (or use SearchEngine.open) before searching
+   * @param {string} indexDir - Directory containing the index
+   * @param {Object} [options] - Engine options
+   * @param {boolean|number} [options.preload] - Whether to load vectors into memory up front
+   *   (default: only when they are smaller than 512 MB). Lazily read vectors stay valid
+   *   during a rebuild, which replaces the index files rather than rewriting them.
+   * @param {boolean} [options.autoReload=true] - Reload when the index on disk changes
+   * @param {number} [options.reloadCheckInterval=2000] - Minimum milliseconds between checks for changes
+   * @param {string} [options.baseUrl] - Overrides the OpenAI-compatible server URL stored in the index
+   * @param {string} [options.apiKey] - API key for remote providers
+   * @param {boolean} [options.cache=true] - Reuse query embeddings from the embedding cache
+   * @param {string} [options.cacheDir] - Embedding cache directory (see defaultCacheDir)
+   * @param {string} [options.onEmbeddingError='fail'] - Default handling of queries that can't be
+   *   embedded (see searchOpenIndex)
+   * @param {Object} [options.logger=console] - Receives the messages of searches and failed reloads
+   */
+  constructor(indexDir, options = {}) {
+    this.indexDir = indexDir;
+    this.options = { autoReload: true, reloadCheckInterval: 2000, logger: console, ...options };
+  }
+
+  /**
+   * Opens an index
+   * @param {string} indexDir - Directory containing the index
+   * @param {Object} [options] - Engine options (see the constructor)
+   * @returns {Promise<SearchEngine>} The loaded engine
+   */
+  static async open(indexDir, options) {
+    const engine = new SearchEngine(indexDir, options);
+    await engine.load();
+    return engine;
+  }
+
+  /**
+   * Loads the index from disk, replacing the loaded one once its searches finish
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const version = this.#readVersion();
+    const handle = await openIndex(this.indexDir, { preload: this.options.preload });
+
+    const previous = this.#handle;
+    this.#handle = handle;
+    this.#version = version;
+    this.#loadedAt = new Date();
+    this.#active.set(handle, 0);
+    if (previous) {
+      this.#reloads++;
+      this.#release(previous, 0);
+    }
+  }
+
+  /**
+   * Reloads the index if it changed on disk since it was loaded
+   * @returns {Promise<boolean>} True if a new version was loaded
+   */
+  async reload() {
+    if (this.#reloading) return this.#reloading;
+    if (this.#readVersion() === this.#version) return false;
+
+    // Concurrent callers share one load
+    this.#reloading = this.load()
+      .then(() => true)
+      .finally(() => { this.#reloading = null; });
+    return this.#reloading;
+  }
+
+  /**
+   * Searches the index
+   * @param {string} query - The search query
+   * @param {Object} [options] - Search options (see searchOpenIndex)
+   * @returns {Promise<Array>} Search results with `total` and, if requested, `facets`
+   */
+  async search(query, options = {}) {
+    await this.#checkForChanges();
+
+    const handle = this.#acquire();
+    try {
+      this.#searches++;
+      const { baseUrl, apiKey, cache, cacheDir, onEmbeddingError, logger } = this.options;
+      return await searchOpenIndex(handle, query, { baseUrl, apiKey, cache, cacheDir, onEmbeddingError, logger, ...options });
+    } finally {
+      this.#release(handle);
+    }
+  }
+
+  /**
+   * Gets an entry by its id
+   * @param {number} id - Entry id
+   * @returns {Object|undefined} The entry (id, key, title, content, passages and
+   *   originalEntry), or undefined if there is none
+   */
+  get(id) {
+    // A copy, holding the original entry read while the index is loaded
+    const entry = this.#requireHandle().getEntry(id);
+    return entry && { ...entry };
+  }
+
+  /**
+   * Gets the metadata of the loaded index
+   * @returns {Object} Index metadata
+   */
+  get metadata() {
+    return this.#requireHandle().metadata;
+  }
+
+  /**
+   * Describes the loaded index and the engine's activity
+   * @returns {Object} Statistics
+   */
+  stats() {
+    const handle = this.#requireHandle();
+    const { metadata, entries, vectors, passages } = handle;
+
+    return {
+      indexDir: this.indexDir,
+      entries: entries.length,
+      passages: passages.firstRow[entries.length],
+      dimension: vectors.dimension,
+      provider: metadata.provider || { name: 'huggingface', model: metadata.model },
+      ann: Boolean(metadata.ann),
+      createdAt: metadata.createdAt,
+      updatedAt: metadata.updatedAt || null,
+      loadedAt: this.#loadedAt.toISOString(),
+      reloads: this.#reloads,
+      searches: this.#searches,
+      activeSearches: this.#active.get(handle)
+    };
+  }
+
+  /**
+   * Closes the index. Searches still running finish first.
+   */
+  close() {
+    const handle = this.#handle;
+    this.#handle = null;
+    if (handle) this.#release(handle, 0);
+  }
+
+  /**
+   * Reloads the index if it is due for a check and has changed. A failed
+   * reload leaves the current index in place.
+   */
+  async #checkForChanges() {
+    const { autoReload, reloadCheckInterval } = this.options;
+    if (!autoReload || Date.now() - this.#lastCheck < reloadCheckInterval) return;
+    this.#lastCheck = Date.now();
+
+    try {
+      await this.reload();
+    } catch (error) {
+      this.options.logger.warn(`Could not reload index in ${this.indexDir}, keeping the loaded version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets the version of the index on disk. index.json is written last, so its
+   * modification time and size change once a build is complete.
+   * @returns {string|null} Version string, or null if the index is missing
+   */
+  #readVersion() {
+    try {
+      const stats = fs.statSync(path.join(this.indexDir, 'index.json'));
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Marks the current index as used by a search
+   * @returns {Object} The open index
+   */
+  #acquire() {
+    const handle = this.#requireHandle();
+    this.#active.set(handle, this.#active.get(handle) + 1);
+    return handle;
+  }
+
+  /**
+   * Ends a use of an index, closing it once it is replaced and no longer used
+   * @param {Object} handle - The open index
+   * @param {number} [uses=1] - Number of uses ended (0 just closes a replaced, unused index)
+   */
+  #release(handle, uses = 1) {
+    const remaining = this.#active.get(handle) - uses;
+    this.#active.set(handle, remaining);
+    if (remaining <= 0 && handle !== this.#handle) {
+      this.#active.delete(handle);
+      handle.close();
+    }
+  }
+
+  /**
+   * Gets the open index
+   * @returns {Object} The open index
+   */
+  #requireHandle() {
+    if (!this.#handle) {
+      throw new Error('Search engine is not open; call load() first');
+    }
+    return this.#handle;
+  }
+}
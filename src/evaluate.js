@@ -0,0 +1,254 @@
+import fs from 'fs';
+import { openIndex, searchOpenIndex } from './searcher.js';
+import { getPathValue } from './fields.js';
+
+/**
+ * Metrics computed for every query, averaged over all queries for the run
+ * @type {string[]}
+ */
+export const METRICS = ['ndcg', 'mrr', 'precision', 'recall', 'map'];
+
+/**
+ * Loads relevance judgments. The file holds one judgment per line (JSONL) or
+ * a JSON array of them. Each judgment has a `query` and its `relevant`
+ * entries, given as a list of ids (all graded 1), an object mapping ids to
+ * grades, or a list of `{id, grade}` objects. Grades above 0 are relevant;
+ * higher grades are more relevant.
+ * @param {string} filePath - Path to the judgments file
+ * @returns {Array<{query: string, relevant: Map<string, number>}>} Judgments, with ids as strings
+ */
+export function loadJudgments(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const raw = text.trimStart().startsWith('[')
+    ? JSON.parse(text)
+    : text.split('\n').filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid judgment on line ${i + 1} of ${filePath}: ${error.message}`);
+      }
+    });
+
+  return raw.map(normalizeJudgment);
+}
+
+/**
+ * Accepts judgments as a file path or as a list in any form the file may hold
+ * @param {Array<Object>|string} judgments - Judgments, or a path to a judgments file
+ * @returns {Array<{query: string, relevant: Map<string, number>}>} Normalized judgments
+ */
+export function resolveJudgments(judgments) {
+  const judged = typeof judgments === 'string' ? loadJudgments(judgments) : judgments.map(normalizeJudgment);
+  if (judged.length === 0) {
+    throw new Error('No judgments to evaluate');
+  }
+  return judged;
+}
+
+/**
+ * Gets the id a search result is judged by
+ * @param {Object} result - Search result
+ * @param {string} [idField] - Path of the original entry holding the id (default: the entry id)
+ * @returns {string} The id
+ */
+export function resultId(result, idField) {
+  return String(idField ? getPathValue(result.originalEntry, idField) : result.id);
+}
+
+/**
+ * Normalizes one judgment
+ * @param {Object} judgment - Judgment as written in the file
+ * @returns {{query: string, relevant: Map<string, number>}} The judgment
+ */
+function normalizeJudgment(judgment) {
+  const { query, relevant } = judgment || {};
+  if (typeof query !== 'string' || !query.trim()) {
+    throw new Error(`Judgment without a query: ${JSON.stringify(judgment)}`);
+  }
+
+  const grades = new Map();
+  if (relevant instanceof Map) {
+    for (const [id, grade] of relevant) {
+      grades.set(String(id), grade);
+    }
+  } else if (Array.isArray(relevant)) {
+    for (const item of relevant) {
+      if (item !== null && typeof item === 'object') {
+        grades.set(String(item.id), item.grade ?? 1);
+      } else {
+        grades.set(String(item), 1);
+      }
+    }
+  } else if (relevant && typeof relevant === 'object') {
+    for (const [id, grade] of Object.entries(relevant)) {
+      grades.set(id, grade);
+    }
+  } else {
+    throw new Error(`Judgment for "${query}" needs a list or object of relevant ids`);
+  }
+
+  return { query, relevant: grades };
+}
+
+/**
+ * Runs every judged query against an index and measures the rankings
+ * @param {Array<Object>|string} judgments - Judgments in any form loadJudgments accepts, or a path
+ *   to a judgments file
+ * @param {Object} options - Evaluation options; other options are passed to searchOpenIndex
+ * @param {string} [options.indexDir='./index'] - Directory containing the index
+ * @param {number} [options.k=10] - Number of results judged per query
+ * @param {string} [options.idField] - Path of the original entry holding the ids used in the
+ *   judgments (default: the index entry id)
+ * @returns {Promise<Object>} The run: `indexDir`, `k`, `createdAt`, `queries` (each with `query`,
+ *   `relevant` (count), `retrieved` ids and `metrics`) and `overall` (mean of each metric)
+ */
+export async function evaluateSearch(judgments, options = {}) {
+  const { indexDir = './index', k = 10, idField, preload, ...searchOptions } = options;
+  const judged = resolveJudgments(judgments);
+
+  if (!Number.isInteger(k) || k < 1) {
+    throw new Error(`k must be a positive integer, got ${k}`);
+  }
+
+  const handle = await openIndex(indexDir, { preload });
+  const queries = [];
+  try {
+    for (const { query, relevant } of judged) {
+      const results = await searchOpenIndex(handle, query, { ...searchOptions, limit: k });
+      const retrieved = results.map(result => resultId(result, idField));
+
+      queries.push({
+        query,
+        relevant: countRelevant(relevant),
+        retrieved,
+        metrics: measureRanking(retrieved, relevant, k)
+      });
+    }
+  } finally {
+    handle.close();
+  }
+
+  return {
+    indexDir,
+    k,
+    createdAt: new Date().toISOString(),
+    queries,
+    overall: averageMetrics(queries.map(item => item.metrics))
+  };
+}
+
+/**
+ * Measures one ranking against its judgments
+ * - `ndcg`: discounted cumulative gain of the top k, (2^grade - 1) / log2(rank + 1),
+ *   divided by that of the ideal ranking
+ * - `mrr`: reciprocal rank of the first relevant result (0 if none is in the top k)
+ * - `precision`: share of the top k that is relevant
+ * - `recall`: share of the relevant entries found in the top k
+ * - `map`: average precision, the mean of the precision at the rank of every relevant
+ *   entry, counting those missing from the top k as 0
+ * @param {string[]} retrieved - Ids of the results, best first
+ * @param {Map<string, number>} relevant - Grade per judged id
+ * @param {number} k - Cutoff
+ * @returns {Object<string, number>} Value per metric, each between 0 and 1
+ */
+export function measureRanking(retrieved, relevant, k) {
+  const top = retrieved.slice(0, k);
+  const grades = top.map(id => Math.max(relevant.get(id) || 0, 0));
+  const relevantCount = countRelevant(relevant);
+
+  const gain = grade => 2 ** grade - 1;
+  const discount = i => Math.log2(i + 2);
+  const dcg = grades.reduce((sum, grade, i) => sum + gain(grade) / discount(i), 0);
+  const idealGrades = [...relevant.values()].filter(grade => grade > 0).sort((a, b) => b - a).slice(0, k);
+  const idcg = idealGrades.reduce((sum, grade, i) => sum + gain(grade) / discount(i), 0);
+
+  let found = 0;
+  let precisionSum = 0;
+  let firstRank = 0;
+  grades.forEach((grade, i) => {
+    if (grade <= 0) return;
+    found++;
+    precisionSum += found / (i + 1);
+    if (!firstRank) firstRank = i + 1;
+  });
+
+  return {
+    ndcg: idcg > 0 ? dcg / idcg : 0,
+    mrr: firstRank ? 1 / firstRank : 0,
+    precision: found / k,
+    recall: relevantCount > 0 ? found / relevantCount : 0,
+    map: relevantCount > 0 ? precisionSum / relevantCount : 0
+  };
+}
+
+/**
+ * Compares two evaluation runs query by query, e.g. of two indexes or of
+ * the same index before and after a change
+ * @param {Object} baseline - Run from evaluateSearch
+ * @param {Object} candidate - Run from evaluateSearch with the same judgments and k
+ * @returns {Object} The comparison: `k`, `baseline` and `candidate` (index directories), `queries`
+ *   (each with `query` and the `baseline`, `candidate` and `delta` metrics) and `overall` (the same
+ *   for the means). Queries judged in only one run are left out.
+ */
+export function compareRuns(baseline, candidate) {
+  if (baseline.k !== candidate.k) {
+    throw new Error(`Runs measured different cutoffs (k=${baseline.k} and k=${candidate.k})`);
+  }
+
+  const candidateByQuery = new Map(candidate.queries.map(item => [item.query, item]));
+  const queries = [];
+  for (const item of baseline.queries) {
+    const other = candidateByQuery.get(item.query);
+    if (!other) continue;
+    queries.push({
+      query: item.query,
+      baseline: item.metrics,
+      candidate: other.metrics,
+      delta: subtractMetrics(other.metrics, item.metrics)
+    });
+  }
+  if (queries.length === 0) {
+    throw new Error('The runs have no queries in common');
+  }
+
+  const before = averageMetrics(queries.map(item => item.baseline));
+  const after = averageMetrics(queries.map(item => item.candidate));
+  return {
+    k: baseline.k,
+    baseline: baseline.indexDir,
+    candidate: candidate.indexDir,
+    queries,
+    overall: { baseline: before, candidate: after, delta: subtractMetrics(after, before) }
+  };
+}
+
+/**
+ * Counts the judged entries that are relevant
+ * @param {Map<string, number>} relevant - Grade per judged id
+ * @returns {number} Number of ids graded above 0
+ */
+function countRelevant(relevant) {
+  return [...relevant.values()].filter(grade => grade > 0).length;
+}
+
+/**
+ * Averages metrics over queries
+ * @param {Array<Object<string, number>>} list - Metrics per query
+ * @returns {Object<string, number>} Mean per metric
+ */
+export function averageMetrics(list) {
+  return Object.fromEntries(METRICS.map(metric => [
+    metric,
+    list.reduce((sum, metrics) => sum + metrics[metric], 0) / (list.length || 1)
+  ]));
+}
+
+/**
+ * Subtracts metrics
+ * @param {Object<string, number>} a - Metrics
+ * @param {Object<string, number>} b - Metrics to subtract
+ * @returns {Object<string, number>} a - b per metric
+ */
+function subtractMetrics(a, b) {
+  return Object.fromEntries(METRICS.map(metric => [metric, a[metric] - b[metric]]));
+}
@@ -0,0 +1,248 @@
+import { getPathValue } from './fields.js';
+
+// Calendar intervals supported by date histograms
+const DATE_INTERVALS = ['day', 'week', 'month', 'year'];
+
+// Default number of term buckets returned per facet
+const DEFAULT_FACET_SIZE = 10;
+
+// Facet types; 'auto' picks one from the values found
+const FACET_TYPES = ['auto', 'terms', 'date', 'histogram'];
+
+/**
+ * Parses a facet specification. Strings use the shorthand
+ * `field`, `field:<day|week|month|year>` (date histogram) or
+ * `field:<number>` (numeric histogram with that bucket width).
+ * Objects may set `field`, `type` ('terms', 'date', 'histogram' or the
+ * default 'auto'), `interval` and `size` directly.
+ * @param {string|Object} spec - Facet specification
+ * @returns {Object} Normalized facet specification
+ */
+export function parseFacetSpec(spec) {
+  if (typeof spec !== 'string') {
+    if (!spec || !spec.field) {
+      throw new Error('Facet specification needs a field');
+    }
+    return validateFacetSpec({ type: 'auto', size: DEFAULT_FACET_SIZE, ...spec });
+  }
+
+  const [field, interval] = spec.split(':').map(part => part.trim());
+  if (!field) {
+    throw new Error(`Invalid facet specification: ${spec}`);
+  }
+  if (!interval) {
+    return { field, type: 'auto', size: DEFAULT_FACET_SIZE };
+  }
+  if (DATE_INTERVALS.includes(interval)) {
+    return { field, type: 'date', interval };
+  }
+  if (!isNaN(parseFloat(interval)) && parseFloat(interval) > 0) {
+    return { field, type: 'histogram', interval: parseFloat(interval) };
+  }
+  throw new Error(`Invalid facet interval '${interval}' for ${field}`);
+}
+
+/**
+ * Checks the type, interval and size of an object facet specification
+ * @param {Object} spec - Facet specification with defaults filled in
+ * @returns {Object} The specification
+ */
+function validateFacetSpec(spec) {
+  const { field, type, interval, size } = spec;
+  if (!FACET_TYPES.includes(type)) {
+    throw new Error(`Unknown facet type '${type}' for ${field} (available: ${FACET_TYPES.join(', ')})`);
+  }
+  if (interval !== undefined) {
+    const isDate = DATE_INTERVALS.includes(interval);
+    const isWidth = typeof interval === 'number' && interval > 0;
+    const valid = type === 'date' ? isDate : type === 'histogram' ? isWidth : type === 'auto' && (isDate || isWidth);
+    if (!valid) {
+      throw new Error(`Invalid facet interval '${interval}' for ${field}`);
+    }
+  }
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`Facet size for ${field} must be a positive integer, got ${size}`);
+  }
+  return spec;
+}
+
+/**
+ * Computes facet counts over a set of entries
+ * @param {Array<Object>} entries - Original JSONL entries (all matching documents)
+ * @param {Array<string|Object>} specs - Facet specifications (see parseFacetSpec)
+ * @returns {Object<string, Object>} Facets keyed by field, each with `type` and `buckets`
+ */
+export function computeFacets(entries, specs) {
+  const facets = {};
+
+  for (const spec of specs.map(parseFacetSpec)) {
+    const values = [];
+    for (const entry of entries) {
+      const value = getPathValue(entry, spec.field);
+      if (Array.isArray(value)) {
+        // A value repeated in one entry still counts that entry once
+        values.push(...new Set(value.filter(isPresent)));
+      } else if (isPresent(value)) {
+        values.push(value);
+      }
+    }
+
+    const type = spec.type === 'auto' ? detectFacetType(values) : spec.type;
+    switch (type) {
+      case 'date':
+        facets[spec.field] = dateHistogram(values, spec.interval || 'month');
+        break;
+      case 'histogram':
+        facets[spec.field] = numericHistogram(values, spec.interval || niceInterval(values));
+        break;
+      case 'terms':
+        facets[spec.field] = termCounts(values, spec.size || DEFAULT_FACET_SIZE);
+        break;
+      default:
+        throw new Error(`Unknown facet type: ${type}`);
+    }
+  }
+
+  return facets;
+}
+
+/**
+ * Counts distinct values, most frequent first
+ * @param {Array} values - Field values
+ * @param {number} size - Maximum number of buckets
+ * @returns {Object} Terms facet
+ */
+function termCounts(values, size) {
+  const counts = new Map();
+  for (const value of values) {
+    const key = String(value);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const buckets = [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+  return {
+    type: 'terms',
+    buckets: buckets.slice(0, size),
+    otherCount: buckets.slice(size).reduce((sum, bucket) => sum + bucket.count, 0)
+  };
+}
+
+/**
+ * Buckets dates by calendar interval, in chronological order
+ * @param {Array} values - Date values (ISO strings or timestamps)
+ * @param {string} interval - 'day', 'week', 'month' or 'year'
+ * @returns {Object} Date histogram facet
+ */
+function dateHistogram(values, interval) {
+  const counts = new Map();
+  for (const value of values) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) continue;
+
+    const key = dateBucketKey(date, interval);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return {
+    type: 'date',
+    interval,
+    buckets: [...counts.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([value, count]) => ({ value, count }))
+  };
+}
+
+/**
+ * Gets the bucket label of a date: e.g. '2023-05-12', '2023-05', '2023'.
+ * Weeks are labelled by their Monday.
+ * @param {Date} date - The date
+ * @param {string} interval - Calendar interval
+ * @returns {string} Bucket label (UTC)
+ */
+function dateBucketKey(date, interval) {
+  const iso = date.toISOString();
+  switch (interval) {
+    case 'year':
+      return iso.substring(0, 4);
+    case 'month':
+      return iso.substring(0, 7);
+    case 'week': {
+      const monday = new Date(date);
+      monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      return monday.toISOString().substring(0, 10);
+    }
+    default:
+      return iso.substring(0, 10);
+  }
+}
+
+/**
+ * Buckets numbers into fixed-width ranges, in ascending order
+ * @param {Array} values - Numeric values
+ * @param {number} interval - Bucket width
+ * @returns {Object} Numeric histogram facet
+ */
+function numericHistogram(values, interval) {
+  const counts = new Map();
+  for (const value of values) {
+    const number = Number(value);
+    if (!isFinite(number)) continue;
+
+    const from = Math.floor(number / interval) * interval;
+    counts.set(from, (counts.get(from) || 0) + 1);
+  }
+
+  return {
+    type: 'histogram',
+    interval,
+    buckets: [...counts.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([from, count]) => ({ from, to: from + interval, count }))
+  };
+}
+
+/**
+ * Chooses a facet type from the values: dates, numbers or terms
+ * @param {Array} values - Field values
+ * @returns {string} Facet type
+ */
+function detectFacetType(values) {
+  if (values.length > 0 && values.every(value => typeof value === 'number')) {
+    return 'histogram';
+  }
+  if (values.length > 0 && values.every(value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value))) {
+    return 'date';
+  }
+  return 'terms';
+}
+
+/**
+ * Picks a round bucket width giving about ten buckets
+ * @param {Array<number>} values - Numeric values
+ * @returns {number} Bucket width
+ */
+function niceInterval(values) {
+  const numbers = values.map(Number).filter(isFinite);
+  if (numbers.length === 0) return 1;
+
+  const range = numbers.reduce((max, n) => Math.max(max, n), -Infinity)
+    - numbers.reduce((min, n) => Math.min(min, n), Infinity);
+  if (range === 0) return 1;
+
+  const rough = range / 10;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].find(factor => factor * magnitude >= rough);
+  return step * magnitude;
+}
+
+/**
+ * Checks that a value should be counted
+ * @param {any} value - The value
+ * @returns {boolean} True for non-empty values
+ */
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
@@ -0,0 +1,201 @@
+import fs from 'fs';
+
+// How a mapped field is used: keyword search (BM25F), embeddings, or both
+const FIELD_MODES = ['keyword', 'vector', 'both'];
+
+/**
+ * A mapped field of the JSONL entries
+ * @typedef {Object} FieldMapping
+ * @property {string} name - Field name in the keyword index and in fieldWeights
+ * @property {string} path - Dot-path into the entry, e.g. 'metadata.abstract'
+ * @property {number} weight - BM25F weight
+ * @property {string} mode - 'keyword', 'vector' or 'both'
+ * @property {string} [role] - 'title' for the field shown as the title and embedded separately
+ */
+
+/**
+ * Resolves the field mapping for an index. Without explicit fields, the
+ * mapping is derived from the title and content fields plus any extra
+ * keyword fields named in fieldWeights. Explicit fields without a title
+ * role get the title field added (or marked, if it is among them).
+ * @param {Object} options - Indexing options
+ * @param {Array<string|Object>} [options.fields] - Explicit field mapping (see parseFieldSpec)
+ * @param {string} [options.contentField='content'] - Field containing main content
+ * @param {string} [options.titleField='title'] - Field containing title
+ * @param {Object<string, number>} [options.fieldWeights] - BM25F weight per field name
+ * @returns {FieldMapping[]} The field mapping
+ */
+export function resolveFieldMapping(options = {}) {
+  const { contentField = 'content', titleField = 'title', fieldWeights = {} } = options;
+  const titleMapping = { name: 'title', path: titleField, weight: 2, mode: 'both', role: 'title' };
+
+  let mapping;
+  if (options.fields && options.fields.length > 0) {
+    mapping = options.fields.map(parseFieldSpec);
+    if (!mapping.some(field => field.role === 'title')) {
+      const listed = mapping.findIndex(field => field.path === titleField);
+      if (listed >= 0) {
+        mapping[listed] = { ...mapping[listed], name: 'title', role: 'title' };
+      } else {
+        mapping.unshift(titleMapping);
+      }
+    }
+  } else {
+    mapping = [
+      titleMapping,
+      { name: 'content', path: contentField, weight: 1, mode: 'both' }
+    ];
+    for (const name of Object.keys(fieldWeights)) {
+      if (!mapping.some(field => field.name === name)) {
+        mapping.push({ name, path: name, weight: 1, mode: 'keyword' });
+      }
+    }
+  }
+
+  // Explicit weights win over the mapping defaults
+  mapping = mapping.map(field => ({ ...field, weight: fieldWeights[field.name] ?? field.weight }));
+
+  const names = new Set();
+  for (const field of mapping) {
+    if (names.has(field.name)) {
+      throw new Error(`Field '${field.name}' is mapped more than once`);
+    }
+    names.add(field.name);
+  }
+  if (mapping.filter(field => field.role === 'title').length > 1) {
+    throw new Error('Only one field can have the title role');
+  }
+  if (!mapping.some(field => field.role !== 'title' && field.mode !== 'keyword')) {
+    throw new Error('The field mapping needs at least one non-title field with mode "vector" or "both"');
+  }
+
+  return mapping;
+}
+
+/**
+ * Parses a field specification. Strings use the form `path[:weight][:mode]`,
+ * e.g. 'metadata.abstract:1.5:both' or 'tags:1:keyword'. Objects may set
+ * `path`, `name`, `weight`, `mode` and `role` directly.
+ * @param {string|Object} spec - Field specification
+ * @returns {FieldMapping} Normalized field mapping
+ */
+export function parseFieldSpec(spec) {
+  let field = spec;
+  if (typeof spec === 'string') {
+    const [path, weight, mode] = spec.split(':').map(part => part.trim());
+    field = { path };
+    if (weight) field.weight = parseFloat(weight);
+    if (mode) field.mode = mode;
+  }
+
+  if (!field || !field.path) {
+    throw new Error(`Invalid field specification: ${JSON.stringify(spec)}`);
+  }
+
+  const normalized = {
+    name: field.name || (field.role === 'title' ? 'title' : field.path),
+    path: field.path,
+    weight: field.weight ?? 1,
+    mode: field.mode || 'both'
+  };
+  if (field.role) normalized.role = field.role;
+
+  if (isNaN(normalized.weight) || normalized.weight < 0) {
+    throw new Error(`Invalid weight for field '${normalized.path}'`);
+  }
+  if (!FIELD_MODES.includes(normalized.mode)) {
+    throw new Error(`Invalid mode '${normalized.mode}' for field '${normalized.path}' (expected ${FIELD_MODES.join(', ')})`);
+  }
+  if (normalized.role && normalized.role !== 'title') {
+    throw new Error(`Invalid role '${normalized.role}' for field '${normalized.path}'`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Loads a field mapping from a JSON config file. The file holds either an
+ * array of field specifications or an object with a `fields` array.
+ * @param {string} filePath - Path to the config file
+ * @returns {Array<string|Object>} Field specifications
+ */
+export function loadFieldConfig(filePath) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const fields = Array.isArray(config) ? config : config.fields;
+  if (!Array.isArray(fields)) {
+    throw new Error(`Field config ${filePath} must be an array or have a "fields" array`);
+  }
+  return fields;
+}
+
+/**
+ * Gets all values at a dot-path. Arrays along the path are traversed, so
+ * 'sections.text' collects the text of every section.
+ * @param {Object} entry - The entry
+ * @param {string} path - Dot-path
+ * @returns {Array} Values found (empty when the path is missing)
+ */
+export function getPathValues(entry, path) {
+  let values = [entry];
+  for (const segment of path.split('.')) {
+    values = values
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .filter(value => value !== null && typeof value === 'object' && segment in value)
+      .map(value => value[segment]);
+  }
+  return values.filter(value => value !== undefined && value !== null);
+}
+
+/**
+ * Gets the value at a dot-path. When the path crosses arrays, the values
+ * of all elements are returned as one flat array.
+ * @param {Object} entry - The entry
+ * @param {string} path - Dot-path
+ * @returns {any} The value, or undefined when the path is missing
+ */
+export function getPathValue(entry, path) {
+  const values = getPathValues(entry, path);
+  if (values.length === 0) return undefined;
+  if (values.length === 1) return values[0];
+  return values.flat();
+}
+
+/**
+ * Converts a field value to text. Arrays become paragraphs and objects
+ * contribute their values.
+ * @param {any} value - Field value
+ * @returns {string} Text
+ */
+export function valueToText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(valueToText).filter(Boolean).join('\n\n');
+  if (typeof value === 'object') return Object.values(value).map(valueToText).filter(Boolean).join('\n\n');
+  return String(value);
+}
+
+/**
+ * Extracts the text of every mapped field of an entry
+ * @param {Object} entry - The original JSONL entry
+ * @param {FieldMapping[]} mapping - The field mapping
+ * @returns {{title: string, content: string, fields: Object<string, string>}} The title text,
+ *   the combined text of the non-title vector fields, and the text of each field by name
+ */
+export function extractFields(entry, mapping) {
+  const fields = {};
+  for (const field of mapping) {
+    fields[field.name] = valueToText(getPathValues(entry, field.path));
+  }
+
+  const titleField = mapping.find(field => field.role === 'title');
+  const content = mapping
+    .filter(field => field.role !== 'title' && field.mode !== 'keyword')
+    .map(field => fields[field.name])
+    .filter(Boolean)
+    .join('\n\n');
+
+  return {
+    title: titleField ? fields[titleField.name] : '',
+    content,
+    fields
+  };
+}
@@ -0,0 +1,203 @@
+import _ from 'lodash';
+import { getPathValue } from './fields.js';
+
+// Operators allowed inside a field condition
+const FIELD_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$all', '$gt', '$gte', '$lt', '$lte', '$exists'];
+
+/**
+ * Compiles a filter into a predicate over JSONL entries.
+ *
+ * Filters use a MongoDB-like syntax:
+ * - `{ "tags": "AI" }` equality; array fields match if any element is equal
+ * - `{ "tags": { "$in": ["AI", "NLP"] } }` membership, also `$nin` and `$all`
+ * - `{ "date": { "$gte": "2023-01-01", "$lt": "2023-07-01" } }` date, numeric or
+ *   string ranges with `$gt`, `$gte`, `$lt`, `$lte`; also `$eq` and `$ne`
+ * - `{ "author": { "$exists": true } }` existence checks
+ * - `{ "$and": [...] }`, `{ "$or": [...] }` and `{ "$not": {...} }`
+ * Field names may be dot-paths such as `metadata.source`; paths that cross
+ * arrays, such as `authors.name`, match any element. Several keys in one
+ * object must all match.
+ * @param {Object} filter - The filter
+ * @returns {function(Object): boolean} Predicate that receives an original entry
+ */
+export function compileFilter(filter) {
+  if (!_.isPlainObject(filter)) {
+    throw new Error('Filter must be an object');
+  }
+
+  const predicates = Object.entries(filter).map(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        return all(requireArray(key, condition).map(compileFilter));
+      case '$or': {
+        const alternatives = requireArray(key, condition).map(compileFilter);
+        return entry => alternatives.some(predicate => predicate(entry));
+      }
+      case '$not': {
+        const negated = compileFilter(condition);
+        return entry => !negated(entry);
+      }
+      default:
+        if (key.startsWith('$')) {
+          throw new Error(`Unknown filter operator: ${key}`);
+        }
+        return compileFieldCondition(key, condition);
+    }
+  });
+
+  return all(predicates);
+}
+
+/**
+ * Parses a filter given as a JSON string, e.g. on the command line
+ * @param {string} value - JSON filter
+ * @returns {Object} The filter
+ */
+export function parseFilter(value) {
+  let filter;
+  try {
+    filter = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Filter is not valid JSON: ${error.message}`);
+  }
+
+  // Compile once so syntax errors surface before searching
+  compileFilter(filter);
+  return filter;
+}
+
+/**
+ * Compiles the condition on a single field
+ * @param {string} field - Field name or dot-path
+ * @param {any} condition - A value to compare with, or an object of operators
+ * @returns {function(Object): boolean} Predicate
+ */
+function compileFieldCondition(field, condition) {
+  const isOperatorObject = _.isPlainObject(condition)
+    && Object.keys(condition).length > 0
+    && Object.keys(condition).every(key => key.startsWith('$'));
+
+  if (!isOperatorObject) {
+    return entry => matchesAny(getPathValue(entry, field), value => isEqual(value, condition));
+  }
+
+  const checks = Object.entries(condition).map(([operator, operand]) => {
+    if (!FIELD_OPERATORS.includes(operator)) {
+      throw new Error(`Unknown filter operator: ${operator}`);
+    }
+
+    switch (operator) {
+      case '$exists':
+        return value => (value !== undefined && value !== null) === Boolean(operand);
+      case '$eq':
+        return value => matchesAny(value, item => isEqual(item, operand));
+      case '$ne':
+        return value => !matchesAny(value, item => isEqual(item, operand));
+      case '$in': {
+        const options = requireArray(operator, operand);
+        return value => matchesAny(value, item => options.some(option => isEqual(item, option)));
+      }
+      case '$nin': {
+        const options = requireArray(operator, operand);
+        return value => !matchesAny(value, item => options.some(option => isEqual(item, option)));
+      }
+      case '$all': {
+        const required = requireArray(operator, operand);
+        return value => required.every(option => matchesAny(value, item => isEqual(item, option)));
+      }
+      default:
+        return value => matchesAny(value, item => compareRange(operator, item, operand));
+    }
+  });
+
+  return entry => {
+    const value = getPathValue(entry, field);
+    return checks.every(check => check(value));
+  };
+}
+
+/**
+ * Applies a test to a value, or to each element of an array value
+ * @param {any} value - Field value
+ * @param {function(any): boolean} test - Test for a single value
+ * @returns {boolean} True if the value (or any element) passes
+ */
+function matchesAny(value, test) {
+  if (value === undefined || value === null) return false;
+  if (Array.isArray(value)) return value.some(test);
+  return test(value);
+}
+
+/**
+ * Compares two values for equality; strings are compared case-insensitively
+ * @param {any} a - Field value
+ * @param {any} b - Filter value
+ * @returns {boolean} True if equal
+ */
+function isEqual(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+  return _.isEqual(a, b);
+}
+
+/**
+ * Evaluates a range operator. Numbers compare numerically, ISO dates
+ * chronologically and other strings lexicographically.
+ * @param {string} operator - One of $gt, $gte, $lt, $lte
+ * @param {any} value - Field value
+ * @param {any} bound - Filter bound
+ * @returns {boolean} True if the value is within the bound
+ */
+function compareRange(operator, value, bound) {
+  const a = comparable(value);
+  const b = comparable(bound);
+  if (a === null || b === null || typeof a !== typeof b) return false;
+
+  switch (operator) {
+    case '$gt': return a > b;
+    case '$gte': return a >= b;
+    case '$lt': return a < b;
+    case '$lte': return a <= b;
+    default: return false;
+  }
+}
+
+/**
+ * Converts a value to a number (for numbers and ISO dates) or string for range comparison
+ * @param {any} value - The value
+ * @returns {number|string|null} Comparable value, or null if it can't be compared
+ */
+function comparable(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    if (/^\d{4}-\d{2}(-\d{2})?([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) {
+      const time = Date.parse(value);
+      if (!isNaN(time)) return time;
+    }
+    return value;
+  }
+  return null;
+}
+
+/**
+ * Combines predicates with AND
+ * @param {Array<function(Object): boolean>} predicates - Predicates
+ * @returns {function(Object): boolean} Combined predicate
+ */
+function all(predicates) {
+  return entry => predicates.every(predicate => predicate(entry));
+}
+
+/**
+ * Checks that an operator received an array
+ * @param {string} operator - Operator name
+ * @param {any} value - Operand
+ * @returns {Array} The operand
+ */
+function requireArray(operator, value) {
+  if (!Array.isArray(value)) {
+    throw new Error(`${operator} expects an array`);
+  }
+  return value;
+}
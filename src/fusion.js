@@ -0,0 +1,205 @@
+/**
+ * Ways of combining the semantic, keyword and title signals of a search
+ * into one score:
+ * - `linear`: weighted sum of the cosine similarity, the keyword score divided
+ *   by the best keyword score of the query, and the title score
+ * - `rrf`: reciprocal rank fusion of the rankings by each signal
+ * - `zscore`: weighted mean of each signal's z-score among the candidates,
+ *   mapped to 0-1 with the logistic function (0.5 is an average candidate)
+ * - `minmax`: weighted mean of each signal scaled to 0-1 among the candidates
+ * - `keyword`: the keyword score alone, divided by the best one
+ * - `vector`: the cosine similarity alone
+ * @type {string[]}
+ */
+export const FUSION_STRATEGIES = ['linear', 'rrf', 'zscore', 'minmax', 'keyword', 'vector'];
+
+/**
+ * Rank constant of reciprocal rank fusion; larger values flatten the
+ * difference between the top ranks
+ * @type {number}
+ */
+export const RRF_K = 60;
+
+/**
+ * Checks that a fusion strategy exists
+ * @param {string} fusion - Strategy name
+ * @returns {string} The strategy name
+ */
+export function validateFusion(fusion) {
+  if (!FUSION_STRATEGIES.includes(fusion)) {
+    throw new Error(`Unknown fusion strategy '${fusion}' (available: ${FUSION_STRATEGIES.join(', ')})`);
+  }
+  return fusion;
+}
+
+/**
+ * Scores search candidates by combining their signals. Except for `linear`,
+ * scores are kept between 0 and 1 and don't depend on how the signals of a
+ * query happen to be scaled, so one threshold suits every query.
+ * @param {Array<{semantic: number, keyword: number, title: number}>} candidates - Signals per
+ *   candidate: cosine similarity of the best passage, raw BM25F score (0 without a keyword match)
+ *   and title score (0-1)
+ * @param {Object} [options] - Fusion options
+ * @param {string} [options.fusion='linear'] - Strategy (see FUSION_STRATEGIES)
+ * @param {number} [options.semanticWeight=0.7] - Weight of the semantic signal; the keyword signal gets the rest
+ * @param {number} [options.titleWeight=0.3] - Weight of the title signal
+ * @param {number} [options.rrfK=60] - Rank constant for `rrf`
+ * @returns {number[]} Score per candidate, in candidate order
+ */
+export function fuseScores(candidates, options = {}) {
+  const weighed = weighSignals(candidates, options);
+  return candidates.map((candidate, i) => scoreCandidate(weighed, i));
+}
+
+/**
+ * Scores search candidates like fuseScores and reports how each signal
+ * contributed to the score
+ * @param {Array<Object>} candidates - Signals per candidate (see fuseScores)
+ * @param {Object} [options] - Fusion options (see fuseScores)
+ * @returns {Array<Object>} Per candidate, `score`, `logistic` (true when the score is the logistic
+ *   function of the summed contributions, as with `zscore`) and `signals`: for each of `semantic`,
+ *   `keyword` and `title`, its raw `value`, the `normalized` value the strategy combines, the
+ *   `weight` it is combined with, its `contribution` and, for `rrf`, its `rank` (0 when unranked)
+ */
+export function explainFusion(candidates, options = {}) {
+  const weighed = weighSignals(candidates, options);
+  const { signals, logistic } = weighed;
+
+  return candidates.map((candidate, i) => ({
+    score: scoreCandidate(weighed, i),
+    logistic,
+    signals: Object.fromEntries(signals.map(signal => [signal.name, {
+      value: signal.values[i],
+      normalized: signal.normalized[i],
+      weight: signal.weight,
+      contribution: signal.normalized[i] * signal.weight,
+      ...(signal.ranks ? { rank: signal.ranks[i] } : {})
+    }]))
+  }));
+}
+
+/**
+ * Works out the normalized value and weight of each signal under a strategy;
+ * a candidate's score is the sum of normalized value times weight
+ * @param {Array<Object>} candidates - Signals per candidate (see fuseScores)
+ * @param {Object} options - Fusion options (see fuseScores)
+ * @returns {{signals: Array<Object>, logistic: boolean}} Signals with `name`, `values`, `normalized`,
+ *   `weight` and optionally `ranks`, and whether the sum goes through the logistic function
+ */
+function weighSignals(candidates, options) {
+  const { fusion = 'linear', semanticWeight = 0.7, titleWeight = 0.3, rrfK = RRF_K } = options;
+
+  const signals = [
+    { name: 'semantic', weight: semanticWeight, values: candidates.map(candidate => candidate.semantic) },
+    { name: 'keyword', weight: 1 - semanticWeight, values: candidates.map(candidate => candidate.keyword), sparse: true },
+    { name: 'title', weight: titleWeight, values: candidates.map(candidate => candidate.title), sparse: true }
+  ];
+  const [semantic, keyword, title] = signals;
+
+  // Linear fusion divides keyword scores by the best one of the query
+  const maxKeyword = keyword.values.reduce((max, value) => Math.max(max, value), 0) || 1;
+  semantic.normalized = semantic.values;
+  keyword.normalized = keyword.values.map(value => value / maxKeyword);
+  title.normalized = title.values;
+
+  switch (validateFusion(fusion)) {
+    case 'linear':
+      return { signals, logistic: false };
+
+    case 'keyword':
+    case 'vector': {
+      const only = fusion === 'keyword' ? keyword : semantic;
+      for (const signal of signals) {
+        signal.weight = signal === only ? 1 : 0;
+      }
+      return { signals, logistic: false };
+    }
+
+    case 'rrf':
+      // Scaled so that the first rank is worth 1
+      return combine(signals, signal => {
+        signal.ranks = rank(signal);
+        return signal.ranks.map(position => (position ? (rrfK + 1) / (rrfK + position) : 0));
+      }, false);
+
+    case 'minmax':
+      return combine(signals, signal => minMax(signal.values), false);
+
+    case 'zscore':
+      return combine(signals, signal => zScores(signal.values), true);
+  }
+}
+
+/**
+ * Sums the weighted signals of one candidate
+ * @param {{signals: Array<Object>, logistic: boolean}} weighed - Result of weighSignals
+ * @param {number} i - Candidate index
+ * @returns {number} The candidate's score
+ */
+function scoreCandidate({ signals, logistic }, i) {
+  const sum = signals.reduce((total, signal) => total + signal.normalized[i] * signal.weight, 0);
+  return logistic ? 1 / (1 + Math.exp(-sum)) : sum;
+}
+
+/**
+ * Sets the normalized values of each signal and divides the weights by their
+ * sum, so the score is a weighted mean
+ * @param {Array<Object>} signals - Signals with `weight` and `values`
+ * @param {function(Object): number[]} normalize - Normalizes one signal's values
+ * @param {boolean} logistic - Whether the mean goes through the logistic function
+ * @returns {{signals: Array<Object>, logistic: boolean}} The signals
+ */
+function combine(signals, normalize, logistic) {
+  const totalWeight = signals.reduce((sum, signal) => sum + Math.max(signal.weight, 0), 0) || 1;
+
+  for (const signal of signals) {
+    signal.weight = Math.max(signal.weight, 0) / totalWeight;
+    signal.normalized = signal.weight > 0 ? normalize(signal) : signal.values.map(() => 0);
+  }
+  return { signals, logistic };
+}
+
+/**
+ * Ranks candidates by a signal, best first. Candidates that a sparse signal
+ * doesn't match (value 0) are not ranked.
+ * @param {Object} signal - Signal with `values` and `sparse`
+ * @returns {number[]} Rank of each candidate starting at 1, or 0 for unranked candidates
+ */
+function rank(signal) {
+  const order = signal.values
+    .map((value, i) => ({ value, i }))
+    .filter(item => !signal.sparse || item.value > 0)
+    .sort((a, b) => b.value - a.value);
+
+  const ranks = new Array(signal.values.length).fill(0);
+  order.forEach((item, position) => {
+    ranks[item.i] = position + 1;
+  });
+  return ranks;
+}
+
+/**
+ * Scales values to 0-1 between their minimum and maximum
+ * @param {number[]} values - Values
+ * @returns {number[]} Scaled values; all 1 (or 0 if not positive) when they are equal
+ */
+function minMax(values) {
+  const min = values.reduce((result, value) => Math.min(result, value), Infinity);
+  const max = values.reduce((result, value) => Math.max(result, value), -Infinity);
+  if (max === min) {
+    return values.map(value => (value > 0 ? 1 : 0));
+  }
+  return values.map(value => (value - min) / (max - min));
+}
+
+/**
+ * Standardizes values to their z-scores
+ * @param {number[]} values - Values
+ * @returns {number[]} Distance from the mean in standard deviations; 0 when all are equal
+ */
+function zScores(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  const deviation = Math.sqrt(variance);
+  return values.map(value => (deviation === 0 ? 0 : (value - mean) / deviation));
+}
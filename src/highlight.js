@@ -0,0 +1,186 @@
+import { tokenizeWithOffsets } from './analysis.js';
+
+/**
+ * Default highlighting settings
+ * @type {{fragmentSize: number, fragments: number, preTag: string, postTag: string}}
+ */
+export const HIGHLIGHT_DEFAULTS = { fragmentSize: 150, fragments: 3, preTag: '<em>', postTag: '</em>' };
+
+// Sentence ends: terminal punctuation (and closing quotes or brackets) before whitespace, full-width
+// terminal punctuation of Chinese and Japanese, which needs no whitespace after it, or line breaks
+const SENTENCE_END = /[.!?]+["')\]]*\s+|[。！？]+[」』）"')\]]*\s*|\n\s*/g;
+
+/**
+ * Finds the fragments of a text with the densest matches of the query terms.
+ * The text is cut into sentences; longer sentences are cut into windows and
+ * shorter ones joined up to the fragment size. Fragments are ranked by the
+ * number of distinct query terms they contain, then by their number of
+ * matches. Words match when they analyze to a query term, so "networks"
+ * matches a query for "network".
+ * @param {string} text - Text to highlight
+ * @param {string[]} terms - Analyzed query terms (see tokenize)
+ * @param {Object} [options] - Highlighting options
+ * @param {number} [options.fragmentSize=150] - Maximum fragment length in characters
+ * @param {number} [options.fragments=3] - Maximum number of fragments
+ * @param {string} [options.preTag='<em>'] - Marker inserted before each match in `highlighted`
+ * @param {string} [options.postTag='</em>'] - Marker inserted after each match in `highlighted`
+ * @param {{start: number, end: number}} [options.fallback] - Part of the text to show, cut to the
+ *   fragment size, when no word matches (default: the start of the text)
+ * @param {string} [options.language] - Language the text is analyzed in, as the terms were
+ *   (default: the English-only analysis of older indexes)
+ * @param {Object} [options.analysisConfig] - Analysis config of the index (see getAnalyzer)
+ * @returns {Array<Object>} Fragments, best first, with their `text`, `start` and `end` offsets in the
+ *   text, `matches` ({start, end, term} offsets within the fragment text) and `highlighted` (the
+ *   text with markers around the matches). Without matches, a single fragment with no matches.
+ */
+export function highlightText(text, terms, options = {}) {
+  const {
+    fragmentSize = HIGHLIGHT_DEFAULTS.fragmentSize,
+    fragments = HIGHLIGHT_DEFAULTS.fragments,
+    preTag = HIGHLIGHT_DEFAULTS.preTag,
+    postTag = HIGHLIGHT_DEFAULTS.postTag,
+    fallback,
+    language,
+    analysisConfig
+  } = options;
+
+  if (fragmentSize < 1 || fragments < 1) {
+    throw new Error('Highlight fragment size and count must be at least 1');
+  }
+  if (!text) return [];
+
+  const wanted = new Set(terms);
+  const matches = tokenizeWithOffsets(text, language, analysisConfig).filter(token => wanted.has(token.term));
+
+  const spans = packSpans(
+    splitSentences(text).flatMap(span => splitLongSpan(text, span, fragmentSize)),
+    fragmentSize
+  );
+
+  const ranked = spans
+    .map((span, order) => {
+      const inside = matches.filter(match => match.start >= span.start && match.end <= span.end);
+      return { span, order, inside, distinct: new Set(inside.map(match => match.term)).size };
+    })
+    .filter(candidate => candidate.inside.length > 0)
+    .sort((a, b) => b.distinct - a.distinct || b.inside.length - a.inside.length || a.order - b.order)
+    .slice(0, fragments);
+
+  if (ranked.length === 0) {
+    const { start = 0, end = text.length } = fallback || {};
+    const span = trimSpan(text, { start, end: cutAtWord(text, start, Math.min(end, start + fragmentSize)) });
+    return [createFragment(text, span, [], preTag, postTag)];
+  }
+
+  return ranked.map(candidate => createFragment(text, candidate.span, candidate.inside, preTag, postTag));
+}
+
+/**
+ * Splits a text into sentences
+ * @param {string} text - The text
+ * @returns {Array<{start: number, end: number}>} Sentence offsets, without surrounding whitespace
+ */
+function splitSentences(text) {
+  const spans = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    spans.push({ start, end: match.index + match[0].length });
+    start = match.index + match[0].length;
+  }
+  spans.push({ start, end: text.length });
+
+  return spans.map(span => trimSpan(text, span)).filter(span => span.end > span.start);
+}
+
+/**
+ * Cuts a span longer than the fragment size into windows, between words
+ * @param {string} text - The text
+ * @param {{start: number, end: number}} span - The span
+ * @param {number} size - Maximum window length
+ * @returns {Array<{start: number, end: number}>} Windows covering the span
+ */
+function splitLongSpan(text, span, size) {
+  const windows = [];
+  let { start } = span;
+  while (span.end - start > size) {
+    const end = cutAtWord(text, start, start + size);
+    windows.push(trimSpan(text, { start, end }));
+    start = end;
+    while (start < span.end && /\s/.test(text[start])) start++;
+  }
+  if (start < span.end) {
+    windows.push({ start, end: span.end });
+  }
+  return windows;
+}
+
+/**
+ * Joins consecutive spans while they fit in the fragment size
+ * @param {Array<{start: number, end: number}>} spans - Spans in text order
+ * @param {number} size - Maximum joined length
+ * @returns {Array<{start: number, end: number}>} Joined spans
+ */
+function packSpans(spans, size) {
+  const packed = [];
+  for (const span of spans) {
+    const last = packed[packed.length - 1];
+    if (last && span.end - last.start <= size) {
+      last.end = span.end;
+    } else {
+      packed.push({ ...span });
+    }
+  }
+  return packed;
+}
+
+/**
+ * Moves a cut back to the last whitespace so no word is split, unless the
+ * range is a single word
+ * @param {string} text - The text
+ * @param {number} start - Start of the range
+ * @param {number} end - Preferred end of the range
+ * @returns {number} End of the range
+ */
+function cutAtWord(text, start, end) {
+  if (end >= text.length || /\s/.test(text[end]) || /\s/.test(text[end - 1])) {
+    return Math.min(end, text.length);
+  }
+  const space = text.slice(start, end).search(/\s\S*$/);
+  return space > 0 ? start + space : end;
+}
+
+/**
+ * Removes whitespace from both ends of a span
+ * @param {string} text - The text
+ * @param {{start: number, end: number}} span - The span
+ * @returns {{start: number, end: number}} The trimmed span
+ */
+function trimSpan(text, { start, end }) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { start, end };
+}
+
+/**
+ * Builds a fragment with its matches and highlighted text
+ * @param {string} text - The text
+ * @param {{start: number, end: number}} span - The fragment's span
+ * @param {Array<Object>} matches - Matches inside the span, in text order
+ * @param {string} preTag - Marker before each match
+ * @param {string} postTag - Marker after each match
+ * @returns {Object} The fragment
+ */
+function createFragment(text, span, matches, preTag, postTag) {
+  const fragmentText = text.slice(span.start, span.end);
+  const relative = matches.map(match => ({ start: match.start - span.start, end: match.end - span.start, term: match.term }));
+
+  let highlighted = '';
+  let last = 0;
+  for (const match of relative) {
+    highlighted += fragmentText.slice(last, match.start) + preTag + fragmentText.slice(match.start, match.end) + postTag;
+    last = match.end;
+  }
+  highlighted += fragmentText.slice(last);
+
+  return { text: fragmentText, start: span.start, end: span.end, matches: relative, highlighted };
+}
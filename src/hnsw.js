@@ -0,0 +1,362 @@
+import fs from 'fs';
+import path from 'path';
+
+// Files holding the graph parameters and the adjacency lists
+const HEADER_FILE = 'hnsw.json';
+const GRAPH_FILE = 'hnsw.bin';
+
+/**
+ * Creates an empty HNSW (Hierarchical Navigable Small World) graph for
+ * approximate nearest-neighbour search by cosine distance.
+ * Nodes are row numbers of a vector matrix; vectors are fetched through
+ * `getVector`, so the graph itself only stores adjacency lists. Rows need not
+ * all be added.
+ * @param {function(number): ArrayLike<number>} getVector - Returns the vector of a node
+ * @param {Object} [options] - Graph options
+ * @param {number} [options.M=16] - Maximum neighbours per node on upper layers (2M on layer 0)
+ * @param {number} [options.efConstruction=100] - Candidate list size while inserting
+ * @param {number} [options.seed=42] - Seed for level generation, so builds are reproducible
+ * @returns {Object} Graph with `add(node)`, `search(query, k, options)` and `write(dir)`
+ */
+export function createHnswIndex(getVector, options = {}) {
+  const { M = 16, efConstruction = 100, seed = 42 } = options;
+  return createGraph(getVector, {
+    M,
+    efConstruction,
+    random: mulberry32(seed),
+    levels: [],
+    neighbors: [],
+    entryPoint: -1,
+    maxLevel: -1
+  });
+}
+
+/**
+ * Checks whether an index directory contains an HNSW graph
+ * @param {string} dir - Index directory
+ * @returns {boolean} True if a graph exists
+ */
+export function hasHnswIndex(dir) {
+  return fs.existsSync(path.join(dir, HEADER_FILE)) && fs.existsSync(path.join(dir, GRAPH_FILE));
+}
+
+/**
+ * Loads an HNSW graph written by `write`
+ * @param {string} dir - Index directory
+ * @param {function(number): ArrayLike<number>} getVector - Returns the vector of a node
+ * @returns {Object} The graph
+ */
+export function loadHnswIndex(dir, getVector) {
+  const header = JSON.parse(fs.readFileSync(path.join(dir, HEADER_FILE), 'utf8'));
+  const buffer = fs.readFileSync(path.join(dir, GRAPH_FILE));
+  const data = new Int32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+
+  // Layout per node: level, then for each layer 0..level a count followed by neighbour ids;
+  // rows left out of the graph have level -1
+  const levels = new Array(header.count);
+  const neighbors = new Array(header.count);
+  let offset = 0;
+  for (let node = 0; node < header.count; node++) {
+    const level = data[offset++];
+    levels[node] = level;
+    neighbors[node] = [];
+    for (let layer = 0; layer <= level; layer++) {
+      const count = data[offset++];
+      neighbors[node].push(Array.from(data.subarray(offset, offset + count)));
+      offset += count;
+    }
+  }
+
+  return createGraph(getVector, {
+    M: header.M,
+    efConstruction: header.efConstruction,
+    random: mulberry32(header.count),
+    levels,
+    neighbors,
+    entryPoint: header.entryPoint,
+    maxLevel: header.maxLevel
+  });
+}
+
+/**
+ * Builds the graph object around its state
+ * @param {function(number): ArrayLike<number>} getVector - Returns the vector of a node
+ * @param {Object} state - Graph state
+ * @returns {Object} The graph
+ */
+function createGraph(getVector, state) {
+  const { M, efConstruction, random, levels, neighbors } = state;
+  const levelMultiplier = 1 / Math.log(M);
+  const norms = [];
+
+  const norm = (node) => {
+    if (norms[node] === undefined) {
+      norms[node] = vectorNorm(getVector(node));
+    }
+    return norms[node];
+  };
+
+  const distanceTo = (query, queryNorm, node) => {
+    const nodeNorm = norm(node);
+    if (queryNorm === 0 || nodeNorm === 0) return 1;
+    return 1 - dot(query, getVector(node)) / (queryNorm * nodeNorm);
+  };
+
+  /**
+   * Best-first search of one layer
+   * @returns {Array<{node: number, distance: number}>} Up to `ef` closest nodes, unsorted
+   */
+  const searchLayer = (query, queryNorm, entryPoints, ef, layer, filter) => {
+    const visited = new Set(entryPoints.map(item => item.node));
+    const candidates = new Heap((a, b) => a.distance - b.distance);
+    const results = new Heap((a, b) => b.distance - a.distance);
+    const accepts = node => !filter || filter(node);
+
+    for (const item of entryPoints) {
+      candidates.push(item);
+      if (accepts(item.node)) results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.distance > results.peek().distance) break;
+
+      for (const neighbor of neighbors[current.node][layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        // Nodes rejected by the filter are still traversed, just never returned
+        const distance = distanceTo(query, queryNorm, neighbor);
+        if (results.size < ef || distance < results.peek().distance) {
+          candidates.push({ node: neighbor, distance });
+          if (accepts(neighbor)) {
+            results.push({ node: neighbor, distance });
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    return results.items;
+  };
+
+  /**
+   * Descends from the top layer to `targetLayer` following the closest node
+   */
+  const greedyDescend = (query, queryNorm, targetLayer) => {
+    let closest = [{ node: state.entryPoint, distance: distanceTo(query, queryNorm, state.entryPoint) }];
+    for (let layer = state.maxLevel; layer > targetLayer; layer--) {
+      closest = [nearest(searchLayer(query, queryNorm, closest, 1, layer))];
+    }
+    return closest;
+  };
+
+  return {
+    get size() {
+      return levels.length;
+    },
+
+    /**
+     * Inserts a node into the graph
+     * @param {number} node - Row number of the node's vector
+     */
+    add(node) {
+      const vector = getVector(node);
+      const vectorNormValue = norm(node);
+      const level = Math.floor(-Math.log(1 - random()) * levelMultiplier);
+
+      levels[node] = level;
+      neighbors[node] = Array.from({ length: level + 1 }, () => []);
+
+      if (state.entryPoint === -1) {
+        state.entryPoint = node;
+        state.maxLevel = level;
+        return;
+      }
+
+      let entryPoints = greedyDescend(vector, vectorNormValue, level);
+
+      for (let layer = Math.min(level, state.maxLevel); layer >= 0; layer--) {
+        const found = searchLayer(vector, vectorNormValue, entryPoints, efConstruction, layer);
+        const maxNeighbors = layer === 0 ? M * 2 : M;
+        const selected = found.sort((a, b) => a.distance - b.distance).slice(0, M);
+
+        neighbors[node][layer] = selected.map(item => item.node);
+
+        // Connect back, pruning the neighbour's list to its closest nodes when full
+        for (const { node: neighbor } of selected) {
+          const list = neighbors[neighbor][layer];
+          list.push(node);
+          if (list.length > maxNeighbors) {
+            const neighborVector = getVector(neighbor);
+            const neighborNorm = norm(neighbor);
+            neighbors[neighbor][layer] = list
+              .map(other => ({ node: other, distance: distanceTo(neighborVector, neighborNorm, other) }))
+              .sort((a, b) => a.distance - b.distance)
+              .slice(0, maxNeighbors)
+              .map(item => item.node);
+          }
+        }
+
+        entryPoints = found;
+      }
+
+      if (level > state.maxLevel) {
+        state.maxLevel = level;
+        state.entryPoint = node;
+      }
+    },
+
+    /**
+     * Finds the approximate nearest neighbours of a query vector
+     * @param {ArrayLike<number>} query - Query vector
+     * @param {number} k - Number of neighbours to return
+     * @param {Object} [options] - Search options
+     * @param {number} [options.ef=100] - Candidate list size; higher is slower but more accurate
+     * @param {function(number): boolean} [options.filter] - Only nodes passing this test are returned
+     * @returns {Array<{node: number, similarity: number}>} Neighbours, most similar first
+     */
+    search(query, k, options = {}) {
+      if (state.entryPoint === -1) return [];
+
+      const ef = Math.max(options.ef || 100, k);
+      const queryNorm = vectorNorm(query);
+      const entryPoints = greedyDescend(query, queryNorm, 0);
+
+      return searchLayer(query, queryNorm, entryPoints, ef, 0, options.filter)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k)
+        .map(item => ({ node: item.node, similarity: 1 - item.distance }));
+    },
+
+    /**
+     * Writes the graph to an index directory
+     * @param {string} dir - Index directory
+     */
+    write(dir) {
+      const data = [];
+      for (let node = 0; node < levels.length; node++) {
+        if (levels[node] === undefined) {
+          data.push(-1);
+          continue;
+        }
+        data.push(levels[node]);
+        for (let layer = 0; layer <= levels[node]; layer++) {
+          data.push(neighbors[node][layer].length, ...neighbors[node][layer]);
+        }
+      }
+
+      const graph = Int32Array.from(data);
+      fs.writeFileSync(path.join(dir, GRAPH_FILE), Buffer.from(graph.buffer));
+      fs.writeFileSync(path.join(dir, HEADER_FILE), JSON.stringify({
+        version: 1,
+        distance: 'cosine',
+        M,
+        efConstruction,
+        count: levels.length,
+        entryPoint: state.entryPoint,
+        maxLevel: state.maxLevel
+      }, null, 2));
+    }
+  };
+}
+
+/**
+ * Picks the closest item of a search result
+ * @param {Array<{node: number, distance: number}>} items - Search result
+ * @returns {{node: number, distance: number}} The closest item
+ */
+function nearest(items) {
+  return items.reduce((best, item) => (item.distance < best.distance ? item : best));
+}
+
+/**
+ * Dot product of two vectors
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} Dot product
+ */
+function dot(a, b) {
+  const length = Math.min(a.length, b.length);
+  let sum = 0;
+  for (let i = 0; i < length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Euclidean norm of a vector
+ * @param {ArrayLike<number>} vector - The vector
+ * @returns {number} Norm
+ */
+function vectorNorm(vector) {
+  return Math.sqrt(dot(vector, vector));
+}
+
+/**
+ * Small seeded pseudo-random number generator
+ * @param {number} seed - Seed
+ * @returns {function(): number} Generator returning numbers in [0, 1)
+ */
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Minimal binary heap ordered by a comparator (smallest first)
+ */
+class Heap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const { items } = this;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
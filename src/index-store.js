@@ -0,0 +1,320 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { pipeline } from 'stream/promises';
+import { createVectorWriter, openVectorStore } from './vector-store.js';
+import { createHnswIndex } from './hnsw.js';
+import { createBm25Builder } from './bm25.js';
+import { createLineWriter } from './line-writer.js';
+
+const INDEX_FILE = 'index.json';
+
+// Files making up a built index, in the order they are moved into place.
+// index.json goes last, so a changed index.json means the rest is complete.
+const INDEX_FILES = ['vectors.json', 'content.f32', 'title.f32', 'hnsw.json', 'hnsw.bin', 'bm25.json', 'postings.jsonl', INDEX_FILE];
+
+/**
+ * Default memory budget for indexing, in megabytes
+ * @type {number}
+ */
+export const DEFAULT_MEMORY_BUDGET = 512;
+
+/**
+ * Creates a writer that streams an index to disk entry by entry. Everything
+ * is written to a staging directory inside the output directory and moved
+ * into place by `finish()`, so searches see either the old or the new index.
+ *
+ * index.json is written with the metadata on its first line and one entry
+ * per line, so both can be read back without parsing the whole file.
+ * @param {string} outputDir - Index directory
+ * @param {Object} options - Writer options
+ * @param {boolean} options.titleBoost - Whether title embeddings are stored
+ * @param {Object} options.keyword - Keyword settings from the index metadata
+ * @param {number} [options.memoryBudget=512] - Approximate memory in megabytes for keyword
+ *   postings and for the vectors loaded while building the HNSW graph
+ * @param {Object} [options.logger=console] - Receives progress messages through `log`
+ * @returns {Object} Writer with `count`, `add(entry)`, `finish(metadata)` and `abort()`
+ */
+export function createIndexWriter(outputDir, { titleBoost, keyword, memoryBudget = DEFAULT_MEMORY_BUDGET, logger = console }) {
+  // Half of the budget for postings, half for vectors while building the graph
+  const budget = memoryBudget * 1024 * 1024 / 2;
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const stagingDir = fs.mkdtempSync(path.join(outputDir, '.build-'));
+  const entriesPath = path.join(stagingDir, 'entries.tmp');
+
+  const vectors = createVectorWriter(stagingDir, titleBoost ? ['content', 'title'] : ['content']);
+  const bm25 = createBm25Builder(keyword.fields, { tempDir: stagingDir, memoryBudget: budget });
+  const entries = createLineWriter(entriesPath);
+  // Content rows of pending entries, left out of the HNSW graph
+  const pendingRows = new Set();
+  let rows = 0;
+  let count = 0;
+  let closed = false;
+
+  const closeFiles = () => {
+    if (closed) return;
+    closed = true;
+    vectors.close();
+    entries.close();
+  };
+
+  return {
+    /**
+     * Number of entries added so far
+     * @type {number}
+     */
+    get count() {
+      return count;
+    },
+
+    /**
+     * Adds the next entry. Its vectors, keyword terms and text are written
+     * out right away, so the entry can be discarded afterwards.
+     * @param {Object} entry - Embedded entry with id, key, hash, title, content,
+     *   passages, passageEmbeddings, titleEmbedding, keywordTerms and originalEntry;
+     *   `pending` marks an entry whose embeddings are placeholders
+     */
+    add(entry) {
+      for (const embedding of entry.passageEmbeddings) {
+        if (entry.pending) pendingRows.add(rows);
+        vectors.append('content', embedding);
+        rows++;
+      }
+      if (titleBoost) {
+        vectors.append('title', entry.titleEmbedding);
+      }
+      bm25.addDocument(entry.keywordTerms);
+
+      const stored = {
+        id: entry.id,
+        key: entry.key,
+        hash: entry.hash,
+        title: entry.title,
+        content: entry.content,
+        passages: entry.passages.map(passage => [passage.start, passage.end]),
+        ...(entry.pending ? { pending: true } : {}),
+        ...(entry.language ? { language: entry.language } : {}),
+        originalEntry: entry.originalEntry
+      };
+      entries.write((count > 0 ? ',\n' : '') + JSON.stringify(stored));
+      count++;
+    },
+
+    /**
+     * Writes the keyword index, HNSW graph and index.json, then replaces the
+     * files of the previous index
+     * @param {Object} metadata - Index metadata
+     * @returns {Promise<void>}
+     */
+    async finish(metadata) {
+      closeFiles();
+      await bm25.write(stagingDir, metadata.keyword);
+      writeAnnIndex(stagingDir, metadata.ann, { preloadLimit: budget, skipRows: pendingRows, logger });
+
+      // Metadata goes first so it can be read without parsing the entries
+      const indexPath = path.join(stagingDir, INDEX_FILE);
+      fs.writeFileSync(indexPath, `{"metadata":${JSON.stringify({ ...metadata, entryCount: count })},\n"entries":[\n`);
+      await pipeline(fs.createReadStream(entriesPath), fs.createWriteStream(indexPath, { flags: 'a' }));
+      fs.appendFileSync(indexPath, '\n]}\n');
+      fs.rmSync(entriesPath);
+
+      for (const file of INDEX_FILES) {
+        const staged = path.join(stagingDir, file);
+        if (fs.existsSync(staged)) {
+          fs.renameSync(staged, path.join(outputDir, file));
+        } else {
+          fs.rmSync(path.join(outputDir, file), { force: true });
+        }
+      }
+
+      // Remove the keyword index of older versions
+      fs.rmSync(path.join(outputDir, 'tfidf.json'), { force: true });
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+    },
+
+    /**
+     * Discards everything written so far, leaving the previous index untouched
+     */
+    abort() {
+      try {
+        closeFiles();
+      } finally {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Reads the metadata of an index without loading its entries
+ * @param {string} dir - Index directory
+ * @returns {Promise<Object>} Index metadata
+ */
+export async function readIndexMetadata(dir) {
+  for await (const line of readLines(path.join(dir, INDEX_FILE))) {
+    // Indexes written in one piece hold the whole document on the first line
+    return line.endsWith(',')
+      ? JSON.parse(line.slice('{"metadata":'.length, -1))
+      : JSON.parse(line).metadata;
+  }
+  throw new Error(`Index file in ${dir} is empty`);
+}
+
+/**
+ * Reads the entries of an index one at a time
+ * @param {string} dir - Index directory
+ * @returns {AsyncGenerator<Object>} Index entries, in index order
+ */
+export async function* readIndexEntries(dir) {
+  let first = true;
+  for await (const line of readLines(path.join(dir, INDEX_FILE))) {
+    if (first) {
+      first = false;
+      if (!line.endsWith(',')) {
+        yield* JSON.parse(line).entries;
+        return;
+      }
+      continue;
+    }
+
+    if (line === '' || line === '"entries":[' || line === ']}') continue;
+    yield JSON.parse(line.endsWith(',') ? line.slice(0, -1) : line);
+  }
+}
+
+/**
+ * Loads the entries of an index for searching. The original JSONL entries
+ * stay on disk: each entry's `originalEntry` is read back from index.json by
+ * byte offset when asked for, so memory holds the indexed text only once.
+ * The file stays open until `close()`, so a rebuild replacing it doesn't
+ * move the entries of a loaded index.
+ * @param {string} dir - Index directory
+ * @returns {Promise<{metadata: Object, entries: Array<Object>, close: function(): void}>} The
+ *   metadata, the entries in index order and a function releasing the file
+ */
+export async function loadIndexEntries(dir) {
+  const indexPath = path.join(dir, INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    throw new Error(`Index not found in ${dir}`);
+  }
+  const fd = fs.openSync(indexPath, 'r');
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    fs.closeSync(fd);
+  };
+
+  const readOriginalEntry = (offset, length) => {
+    if (closed) {
+      throw new Error(`Index in ${dir} was closed; entries can't be read anymore`);
+    }
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, offset);
+    const line = buffer.toString('utf8');
+    return JSON.parse(line.endsWith(',') ? line.slice(0, -1) : line).originalEntry;
+  };
+
+  let metadata = null;
+  const entries = [];
+  try {
+    for await (const { line, offset, length } of readLinesWithOffsets(fs.createReadStream(null, { fd, autoClose: false, start: 0 }))) {
+      if (metadata === null) {
+        // Indexes written in one piece hold the whole document on the first line
+        if (!line.endsWith(',')) {
+          const index = JSON.parse(line);
+          return { metadata: index.metadata, entries: index.entries, close };
+        }
+        metadata = JSON.parse(line.slice('{"metadata":'.length, -1));
+        continue;
+      }
+
+      if (line === '' || line === '"entries":[' || line === ']}') continue;
+      const { originalEntry, ...entry } = JSON.parse(line.endsWith(',') ? line.slice(0, -1) : line);
+      Object.defineProperty(entry, 'originalEntry', {
+        enumerable: true,
+        get: () => readOriginalEntry(offset, length)
+      });
+      entries.push(entry);
+    }
+  } catch (error) {
+    close();
+    throw error;
+  }
+  if (metadata === null) {
+    close();
+    throw new Error(`Index file in ${dir} is empty`);
+  }
+
+  return { metadata, entries, close };
+}
+
+/**
+ * Splits a stream into lines, keeping the byte offset and length of each
+ * @param {stream.Readable} input - The stream
+ * @returns {AsyncGenerator<{line: string, offset: number, length: number}>} Lines without their
+ *   line feed
+ */
+async function* readLinesWithOffsets(input) {
+  let offset = 0;
+  let pending = [];
+  for await (const chunk of input) {
+    let start = 0;
+    let newline;
+    while ((newline = chunk.indexOf(0x0a, start)) !== -1) {
+      const bytes = pending.length > 0 ? Buffer.concat([...pending, chunk.subarray(start, newline)]) : chunk.subarray(start, newline);
+      pending = [];
+      yield { line: bytes.toString('utf8'), offset, length: bytes.length };
+      offset += bytes.length + 1;
+      start = newline + 1;
+    }
+    if (start < chunk.length) pending.push(chunk.subarray(start));
+  }
+  if (pending.length > 0) {
+    const bytes = Buffer.concat(pending);
+    yield { line: bytes.toString('utf8'), offset, length: bytes.length };
+  }
+}
+
+/**
+ * Reads a text file line by line
+ * @param {string} filePath - The file
+ * @returns {readline.Interface} Async iterable of lines
+ */
+function readLines(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Index not found in ${path.dirname(filePath)}`);
+  }
+  return readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+}
+
+/**
+ * Builds the HNSW graph over the content vectors in a directory
+ * @param {string} dir - Directory holding the vectors
+ * @param {Object|null} ann - ANN settings from the index metadata; null skips the graph
+ * @param {Object} options - Build options
+ * @param {number} options.preloadLimit - Vectors up to this many bytes are loaded into memory,
+ *   larger ones are read from disk while building
+ * @param {Set<number>} options.skipRows - Rows left out of the graph, such as the zero
+ *   vectors of entries waiting to be embedded again
+ * @param {Object} options.logger - Receives progress messages
+ */
+function writeAnnIndex(dir, ann, { preloadLimit, skipRows, logger }) {
+  if (!ann) return;
+
+  const vectors = openVectorStore(dir, { preload: preloadLimit });
+  const graph = createHnswIndex(row => vectors.get('content', row), { M: ann.M, efConstruction: ann.efConstruction });
+  const count = vectors.rows('content');
+
+  logger.log(`Building HNSW graph over ${count - skipRows.size} vectors...`);
+  for (let row = 0; row < count; row++) {
+    if (!skipRows.has(row)) graph.add(row);
+  }
+
+  graph.write(dir);
+  vectors.close();
+}
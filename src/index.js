@@ -9,11 +9,49 @@
 
 // Import functionality
 import { analyzeDatabase } from './analyzer.js';
-import { buildIndex } from './indexer.js';
-import { searchIndex } from './searcher.js';
+import { buildIndex, updateIndex, migrateIndex } from './indexer.js';
+import { searchIndex, openIndex, searchOpenIndex } from './searcher.js';
+import { SearchEngine } from './engine.js';
+import { startServer, createServer } from './server.js';
+import { createEmbeddingProvider, registerProvider, listProviders } from './embeddings.js';
+import { cacheEmbeddings, getCacheInfo, clearCache, pruneCache } from './embedding-cache.js';
+import { compileFilter } from './filters.js';
+import { computeFacets } from './facets.js';
+import { fuseScores, explainFusion, FUSION_STRATEGIES } from './fusion.js';
+import { highlightText } from './highlight.js';
+import { evaluateSearch, compareRuns, loadJudgments, measureRanking } from './evaluate.js';
+import { tuneSearch, saveSearchConfig, loadSearchConfig } from './tune.js';
+import { findDuplicates } from './dedupe.js';
+import { findTopics } from './topics.js';
+import { searchSimilar, searchSimilarOpenIndex } from './similar.js';
+import { tokenize, detectLanguage, loadAnalysisConfig, LANGUAGES } from './analysis.js';
 
 // Export main functionality
-export { analyzeDatabase, buildIndex, searchIndex };
+export { analyzeDatabase, buildIndex, updateIndex, migrateIndex, searchIndex };
+
+// Export long-lived index access and the HTTP server
+export { SearchEngine, openIndex, searchOpenIndex, startServer, createServer };
+
+// Export embedding provider API
+export { createEmbeddingProvider, registerProvider, listProviders };
+
+// Export embedding cache API
+export { cacheEmbeddings, getCacheInfo, clearCache, pruneCache };
+
+// Export filter, facet and highlighting helpers
+export { compileFilter, computeFacets, highlightText };
+
+// Export score fusion
+export { fuseScores, explainFusion, FUSION_STRATEGIES };
+
+// Export relevance evaluation
+export { evaluateSearch, compareRuns, loadJudgments, measureRanking };
+export { tuneSearch, saveSearchConfig, loadSearchConfig };
+export { findDuplicates, findTopics };
+export { searchSimilar, searchSimilarOpenIndex };
+
+// Export text analysis
+export { tokenize, detectLanguage, loadAnalysisConfig, LANGUAGES };
 
 // Export version from package.json
 import { readFileSync } from 'fs';
@@ -50,7 +88,42 @@ export { version };
 const jsonlSemanticSearch = {
   analyzeDatabase,
   buildIndex,
+  updateIndex,
+  migrateIndex,
   searchIndex,
+  SearchEngine,
+  openIndex,
+  searchOpenIndex,
+  startServer,
+  createServer,
+  createEmbeddingProvider,
+  registerProvider,
+  listProviders,
+  cacheEmbeddings,
+  getCacheInfo,
+  clearCache,
+  pruneCache,
+  compileFilter,
+  computeFacets,
+  highlightText,
+  fuseScores,
+  explainFusion,
+  FUSION_STRATEGIES,
+  evaluateSearch,
+  compareRuns,
+  loadJudgments,
+  measureRanking,
+  tuneSearch,
+  saveSearchConfig,
+  loadSearchConfig,
+  findDuplicates,
+  findTopics,
+  searchSimilar,
+  searchSimilarOpenIndex,
+  tokenize,
+  detectLanguage,
+  loadAnalysisConfig,
+  LANGUAGES,
   version
 };
 
@@ -1,297 +1,727 @@
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import readline from 'readline';
-import natural from 'natural';
-import stopwordPkg from 'stopword';
-import { HfInference } from '@huggingface/inference';
-import fetch from 'node-fetch';
-import faiss from 'faiss-node';
-import morpha from 'morpha';
 import _ from 'lodash';
-import pLimit from 'p-limit';
-
-const { removeStopwords } = stopwordPkg;
-
-// Initialize Hugging Face Inference with API key
-const HF_API_KEY = process.env.HF_API_KEY || '';
-const hf = new HfInference(HF_API_KEY);
-
-// Initialize NLP tools
-const tokenizer = new natural.WordTokenizer();
-
-// Set up concurrency limit for API calls
-const concurrencyLimit = 5;
-const limit = pLimit(concurrencyLimit);
-
-// Models cache
-const models = {};
+import { createEmbeddingProvider, resolveProviderConfig, embedWithRetry } from './embeddings.js';
+import { cacheEmbeddings } from './embedding-cache.js';
+import { hasVectorStore, openVectorStore } from './vector-store.js';
+import {
+  tokenize, preprocessText, resolveAnalysis, indexAnalysis, isMultilingual, entryLanguage, normalizeAnalysisConfig, sameIndexAnalysis
+} from './analysis.js';
+import { hasBm25Index, BM25_DEFAULTS } from './bm25.js';
+import { createIndexWriter, readIndexMetadata, readIndexEntries, DEFAULT_MEMORY_BUDGET } from './index-store.js';
+import { resolveFieldMapping, extractFields, getPathValue } from './fields.js';
+import { resolveChunking, chunkText } from './chunker.js';
+
+// Number of entries read and embedded at a time
+const BATCH_SIZE = 32;
+
+// What to do with entries that can't be embedded
+const FAILURE_POLICIES = ['fail', 'skip', 'defer'];
+
+// Failed entries listed individually in the summary
+const FAILURE_REPORT_LIMIT = 10;
 
 /**
- * Builds a search index for a JSONL database
+ * Builds a search index for a JSONL database. The file is streamed: entries
+ * are embedded in batches and written out as they go, so memory use depends
+ * on the memory budget rather than the size of the file.
  * @param {string} filePath - Path to the JSONL file
  * @param {Object} options - Indexing options
  * @param {string} options.outputDir - Directory to save the index
  * @param {string} options.contentField - Field containing main content
  * @param {string} options.titleField - Field containing title
- * @param {string} options.model - Embedding model to use
+ * @param {Array<string|Object>} [options.fields] - Field mapping with dot-paths, weights and
+ *   modes, replacing the single content field (see resolveFieldMapping in fields.js)
+ * @param {string} [options.keyField] - Field holding a stable unique key, used by incremental updates
+ * @param {string} options.model - Embedding model to use (may be prefixed with "provider:")
+ * @param {string} [options.provider] - Embedding provider ('huggingface', 'openai' or 'local')
+ * @param {number} [options.dimension] - Embedding dimension for providers that support it; the openai
+ *   provider asks the model for it
+ * @param {string} [options.baseUrl] - Base URL for the OpenAI-compatible provider
+ * @param {string} [options.apiKey] - API key for remote providers
  * @param {boolean} options.titleBoost - Whether to boost title relevance
+ * @param {boolean} [options.ann=true] - Whether to build an HNSW graph for approximate vector search
+ * @param {number} [options.hnswM=16] - Maximum graph neighbours per node
+ * @param {number} [options.efConstruction=100] - Candidate list size while building the graph
+ * @param {number} [options.k1=1.2] - Default BM25 term frequency saturation
+ * @param {number} [options.b=0.75] - Default BM25 length normalization
+ * @param {Object<string, number>} [options.fieldWeights] - BM25F weight per mapped field. Without
+ *   a field mapping, 'title' and 'content' refer to the title and content fields and any other
+ *   key indexes that entry field for keyword search (default: { title: 2, content: 1 })
+ * @param {string} [options.language='en'] - Language of the entries, which decides how text is
+ *   analyzed (see LANGUAGES in analysis.js), or 'auto' to detect it per entry
+ * @param {string} [options.languageField] - Path of the entry field naming its language, e.g.
+ *   'lang'; entries without a supported language there fall back to `language`
+ * @param {Object} [options.analysisConfig] - Synonyms, protected terms, stopword changes and
+ *   whether queries are expanded, applied when indexing and searching (see loadAnalysisConfig)
+ * @param {boolean} [options.chunk=true] - Split long content into passages that are embedded separately
+ * @param {string} [options.chunkBy='tokens'] - Unit of passage size and overlap: 'tokens' or 'sentences'
+ * @param {number} [options.chunkSize] - Passage size (default: 256 tokens or 8 sentences)
+ * @param {number} [options.chunkOverlap] - Units shared by neighbouring passages (default: 32 tokens or 1 sentence)
+ * @param {number} [options.memoryBudget=512] - Approximate memory in megabytes for keyword postings
+ *   and HNSW construction; postings beyond it are flushed to disk in segments
+ * @param {boolean} [options.cache=true] - Reuse embeddings from the embedding cache
+ * @param {string} [options.cacheDir] - Embedding cache directory (see defaultCacheDir)
+ * @param {number} [options.cacheSize=1024] - Size limit of the embedding cache in megabytes
+ * @param {string} [options.onEmbeddingError='fail'] - What to do with entries that can't be embedded
+ *   once retries run out: 'fail' stops indexing and leaves the previous index in place, 'skip' leaves
+ *   them out, 'defer' indexes them for keyword search only and re-embeds them on the next update
+ * @param {number} [options.retries=3] - Retries of failed embedding requests (see embedWithRetry)
+ * @param {number} [options.retryDelay=1000] - Delay before the first retry in milliseconds
+ * @param {number} [options.maxRetryDelay=30000] - Longest delay between retries in milliseconds
+ * @param {boolean} [options.update] - Update an existing index instead of rebuilding it (see updateIndex)
+ * @param {Object} [options.logger=console] - Receives progress messages through `log` and
+ *   skipped entries and embedding failures through `warn`
  * @returns {Promise<string>} Path to the created index
  */
 export async function buildIndex(filePath, options) {
+  if (options.update) {
+    await updateIndex(filePath, options);
+    return options.outputDir || './index';
+  }
+
   const {
     outputDir = './index',
     contentField = 'content',
     titleField = 'title',
-    model = 'universal-sentence-encoder',
-    titleBoost = true
+    fields,
+    keyField,
+    model,
+    provider,
+    dimension,
+    baseUrl,
+    apiKey,
+    titleBoost = true,
+    ann = true,
+    hnswM = 16,
+    efConstruction = 100,
+    k1 = BM25_DEFAULTS.k1,
+    b = BM25_DEFAULTS.b,
+    fieldWeights,
+    memoryBudget = DEFAULT_MEMORY_BUDGET,
+    logger = console
   } = options;
 
-  // Create output directory if it doesn't exist
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+  const fieldMapping = resolveFieldMapping({ fields, contentField, titleField, fieldWeights });
+  const keyword = createKeywordSettings({ k1, b, fields: fieldMapping });
+  const chunking = resolveChunking(options);
+  const analysis = resolveAnalysis(options);
+  const embedding = resolveEmbeddingOptions(options, titleBoost);
+
+  // Set up the embedding provider
+  const embeddingProvider = cacheEmbeddings(createEmbeddingProvider({ provider, model, dimension, requestedDimension: dimension, baseUrl, apiKey, logger }), options);
+
+  const metadata = {
+    createdAt: new Date().toISOString(),
+    sourceFile: path.basename(filePath),
+    contentField,
+    titleField,
+    fields: fieldMapping,
+    keyField: keyField || null,
+    model: embeddingProvider.model,
+    titleBoost,
+    chunking,
+    ann: ann ? { type: 'hnsw', M: hnswM, efConstruction } : null,
+    keyword
+  };
+  const languages = new Set();
+
+  const writer = createIndexWriter(outputDir, { titleBoost, keyword, memoryBudget, logger });
+  try {
+    for await (const batch of readEntryBatches(filePath, { fields: fieldMapping, keyField, chunking, analysis, logger })) {
+      const embedded = await embedEntries(embeddingProvider, batch, embedding);
+      embedded.forEach(entry => {
+        entry.id = writer.count;
+        writer.add(entry);
+        languages.add(entry.language || analysis.language);
+      });
+      logger.log(`Indexed ${writer.count} entries`);
+    }
+
+    // Described after embedding, once a remote model's dimension is known
+    await writer.finish({
+      ...metadata,
+      provider: embeddingProvider.describe(),
+      analysis: { ...analysis, languages: [...languages].sort() }
+    });
+  } catch (error) {
+    writer.abort();
+    throw error;
+  }
+
+  logCacheStats(embeddingProvider, logger);
+  reportFailures(embedding);
+  return outputDir;
+}
+
+/**
+ * Updates an existing index from a new version of its JSONL file.
+ * Entries are matched to the index by their key field. Only new entries and
+ * entries whose embedded text changed are re-embedded; entries missing
+ * from the file are removed. Unchanged entries keep their ids. A changed
+ * field mapping only re-embeds the entries whose embedded text it changes.
+ * The language settings, protected terms and stopwords can't change, as every
+ * entry would be analyzed anew; synonyms and query expansion can.
+ * @param {string} filePath - Path to the JSONL file
+ * @param {Object} options - Indexing options (see buildIndex); settings
+ *   stored in the index are used for anything not given
+ * @returns {Promise<Object>} Counts of added, updated, removed and unchanged entries, and of
+ *   entries that failed to embed (left out or marked for re-embedding, see onEmbeddingError).
+ *   Entries marked for re-embedding by an earlier run count as updated.
+ */
+export async function updateIndex(filePath, options) {
+  const { outputDir = './index', baseUrl, apiKey, memoryBudget = DEFAULT_MEMORY_BUDGET, logger = console } = options;
+
+  const indexPath = path.join(outputDir, 'index.json');
+  if (!fs.existsSync(indexPath)) {
+    throw new Error(`Index not found in ${outputDir}; build it first without --update`);
+  }
+
+  const metadata = await readIndexMetadata(outputDir);
+
+  // Title vectors can't be added to entries that are not re-embedded
+  if (options.titleBoost !== undefined && metadata.titleBoost !== undefined && options.titleBoost !== metadata.titleBoost) {
+    throw new Error(`Cannot change titleBoost during an update (index uses '${metadata.titleBoost}'); rebuild the index instead`);
+  }
+
+  // Indexes built before providers were recorded always used Hugging Face
+  const storedProvider = metadata.provider || { name: 'huggingface', model: metadata.model };
+  if (options.provider || options.model) {
+    const requested = resolveProviderConfig(options);
+    if (requested.name !== storedProvider.name || (requested.model && requested.model !== storedProvider.model)) {
+      throw new Error(`Cannot change the embedding model during an update (index uses '${storedProvider.name}:${storedProvider.model}'); rebuild the index instead`);
+    }
+  }
+
+  const keyField = options.keyField || metadata.keyField;
+  const storedKeyword = metadata.keyword || {};
+
+  // The field mapping may change: entry hashes cover the embedded text, so
+  // entries it affects are re-embedded. Older indexes have no stored mapping.
+  const remap = options.fields || options.contentField !== undefined || options.titleField !== undefined;
+  const contentField = options.contentField ?? metadata.contentField;
+  const titleField = options.titleField ?? metadata.titleField;
+  const fieldMapping = resolveFieldMapping({
+    fields: remap ? options.fields : metadata.fields,
+    contentField,
+    titleField,
+    fieldWeights: options.fieldWeights || (metadata.fields ? undefined : storedKeyword.fieldWeights)
+  });
+  const titleBoost = metadata.titleBoost;
+  const embedding = resolveEmbeddingOptions(options, titleBoost);
+
+  // Terms and embedded text depend on the analysis, so it can't change for some entries only
+  const analysis = indexAnalysis(metadata);
+  if (options.analysisConfig) {
+    const config = normalizeAnalysisConfig(options.analysisConfig);
+    if (!sameIndexAnalysis(config, analysis.config)) {
+      throw new Error('Cannot change protected terms or stopwords during an update; rebuild the index instead');
+    }
+    // Synonyms and query expansion only apply to queries
+    analysis.config = config;
+  }
+  if (options.language !== undefined || options.languageField !== undefined) {
+    const requested = {
+      language: options.language ?? analysis.language,
+      languageField: (options.languageField ?? analysis.languageField) || null
+    };
+    if (requested.language !== analysis.language || requested.languageField !== analysis.languageField) {
+      throw new Error(`Cannot change the text analysis during an update (index uses '${analysis.language}'` +
+        (analysis.languageField ? ` with language field '${analysis.languageField}'` : '') + '); rebuild the index instead');
+    }
+  }
+  const languages = new Set();
+
+  // Indexes built before chunking have one passage per entry. Changing the
+  // passage settings re-embeds every entry.
+  const storedChunking = metadata.chunking ?? null;
+  const rechunk = ['chunk', 'chunkBy', 'chunkSize', 'chunkOverlap'].some(option => options[option] !== undefined);
+  const chunking = rechunk ? resolveChunking(options) : storedChunking;
+  const rechunked = !_.isEqual(chunking, storedChunking);
+
+  // The keyword index is rebuilt in full, so its settings may change freely
+  const keyword = createKeywordSettings({
+    k1: options.k1 ?? storedKeyword.k1 ?? BM25_DEFAULTS.k1,
+    b: options.b ?? storedKeyword.b ?? BM25_DEFAULTS.b,
+    fields: fieldMapping
+  });
+
+  const embeddingProvider = cacheEmbeddings(createEmbeddingProvider(
+    _.omitBy({ ...storedProvider, baseUrl: baseUrl || storedProvider.baseUrl, apiKey, logger }, _.isUndefined)
+  ), options);
+
+  // Derive keys the same way readEntryBatches does, so older indexes and a
+  // newly chosen key field both match up with the file
+  const existingByKey = new Map();
+  let nextId = 0;
+  let row = 0;
+  let position = 0;
+  for await (const entry of readIndexEntries(outputDir)) {
+    const key = entryKey(entry.originalEntry, keyField);
+    const hash = entry.hash ?? contentHash(entry.title, entry.content);
+    const rows = entry.passages ? entry.passages.length : 1;
+    existingByKey.set(key, { id: entry.id, position: position++, hash, firstRow: row, rows, pending: Boolean(entry.pending) });
+    row += rows;
+    nextId = Math.max(nextId, entry.id + 1);
   }
 
-  // Load the embedding model
-  const embeddingModel = await loadModel(model);
+  // Vectors are read from disk as needed; indexes from before binary storage
+  // keep them inside index.json
+  const legacyIndex = hasVectorStore(outputDir) ? null : JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  const vectors = openVectorStore(outputDir, { index: legacyIndex, preload: false });
+
+  const counts = { added: 0, updated: 0, removed: 0, unchanged: 0, failed: 0 };
+  let kept = 0;
+  const writer = createIndexWriter(outputDir, { titleBoost, keyword, memoryBudget, logger });
 
-  // Parse the JSONL file and build the index
-  const entries = [];
+  try {
+    try {
+      for await (const batch of readEntryBatches(filePath, { fields: fieldMapping, keyField, chunking, analysis, logger })) {
+        const changed = [];
+        const unchanged = [];
+
+        for (const entry of batch) {
+          const existing = existingByKey.get(entry.key);
+
+          if (!existing) {
+            entry.id = nextId++;
+            changed.push(entry);
+            counts.added++;
+          } else if (rechunked || existing.pending || existing.hash !== entry.hash) {
+            entry.id = existing.id;
+            changed.push(entry);
+            counts.updated++;
+          } else {
+            // Text is unchanged, so the stored embeddings are still valid
+            entry.id = existing.id;
+            entry.passageEmbeddings = _.range(existing.rows)
+              .map(r => vectors.get('content', existing.firstRow + r));
+            entry.titleEmbedding = titleBoost ? vectors.get('title', existing.position) : null;
+            unchanged.push(entry);
+            counts.unchanged++;
+          }
+        }
+
+        const embedded = changed.length > 0 ? await embedEntries(embeddingProvider, changed, embedding) : [];
+        const written = new Set([...embedded, ...unchanged]);
+        for (const entry of batch) {
+          if (!written.has(entry)) continue;
+          writer.add(entry);
+          languages.add(entry.language || analysis.language);
+          if (existingByKey.has(entry.key)) kept++;
+        }
+      }
+    } finally {
+      vectors.close();
+    }
+
+    // Entries that failed to embed under the 'skip' policy are removed too
+    counts.removed = existingByKey.size - kept;
+    counts.failed = embedding.failures.length;
+    logger.log(`Update: ${counts.added} added, ${counts.updated} updated, ${counts.removed} removed, ${counts.unchanged} unchanged` +
+      (counts.failed ? `, ${counts.failed} failed` : ''));
+
+    await writer.finish({
+      ...metadata,
+      // Indexes from before ANN support get a graph with default settings
+      ann: metadata.ann === undefined ? { type: 'hnsw', M: 16, efConstruction: 100 } : metadata.ann,
+      keyword,
+      contentField,
+      titleField,
+      fields: fieldMapping,
+      chunking,
+      keyField: keyField || null,
+      sourceFile: path.basename(filePath),
+      provider: embeddingProvider.describe(),
+      ...((metadata.analysis || analysis.config) && { analysis: { ...analysis, languages: [...languages].sort() } }),
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    writer.abort();
+    throw error;
+  }
+
+  logCacheStats(embeddingProvider, logger);
+  reportFailures(embedding);
+  return counts;
+}
+
+/**
+ * Streams the entries of a JSONL file in batches, preprocessing each one.
+ * Only the keys of entries already read are kept in memory.
+ * @param {string} filePath - Path to the JSONL file
+ * @param {Object} options - Reading options
+ * @param {import('./fields.js').FieldMapping[]} options.fields - The field mapping
+ * @param {string} [options.keyField] - Field holding a stable unique key
+ * @param {Object|null} [options.chunking] - Passage settings, or null for one passage per entry
+ * @param {Object} options.analysis - Text analysis settings (see resolveAnalysis)
+ * @param {Object} options.logger - Receives warnings about entries that are skipped
+ * @returns {AsyncGenerator<Array<Object>>} Batches of parsed entries (without ids); in a
+ *   multilingual index each has the `language` its text was analyzed in
+ */
+async function* readEntryBatches(filePath, { fields, keyField, chunking = null, analysis, logger }) {
+  const keywordFields = fields.filter(field => field.mode !== 'vector');
+  const contentPaths = fields
+    .filter(field => field.role !== 'title' && field.mode !== 'keyword')
+    .map(field => `'${field.path}'`)
+    .join(', ');
+  let batch = [];
+  const keys = new Set();
   const fileStream = fs.createReadStream(filePath);
   const rl = readline.createInterface({
     input: fileStream,
     crlfDelay: Infinity
   });
 
-  let entryId = 0;
+  let lineNumber = 0;
   for await (const line of rl) {
+    lineNumber++;
     if (line.trim() === '') continue;
 
     try {
       const entry = JSON.parse(line);
-      const content = entry[contentField] || '';
-      const title = entry[titleField] || '';
+      const { title, content, fields: fieldText } = extractFields(entry, fields);
 
       if (!content) {
-        console.warn(`Entry ${entryId} has no content in field '${contentField}', skipping`);
+        logger.warn(`Entry on line ${lineNumber} has no content in ${contentPaths}, skipping`);
         continue;
       }
 
-      // Process and tokenize the content
-      const processedContent = preprocessText(content);
-      const processedTitle = preprocessText(title);
-
-      // Add to entries array
-      entries.push({
-        id: entryId++,
+      const key = entryKey(entry, keyField);
+      if (keys.has(key)) {
+        logger.warn(`Entry on line ${lineNumber} repeats key '${key}', skipping`);
+        continue;
+      }
+      keys.add(key);
+
+      // Entries of a multilingual index are each analyzed in their own language
+      const multilingual = isMultilingual(analysis);
+      const language = multilingual
+        ? entryLanguage(analysis, analysis.languageField && getPathValue(entry, analysis.languageField), `${title || ''} ${content}`)
+        : analysis.language;
+
+      // Process and tokenize the keyword fields
+      const keywordTerms = {};
+      for (const field of keywordFields) {
+        keywordTerms[field.name] = tokenize(fieldText[field.name], language, analysis.config);
+      }
+      const processedTitle = preprocessText(title, language, analysis.config);
+
+      // Long content is embedded passage by passage
+      const passages = chunkText(content, chunking).map(passage => ({
+        ...passage,
+        processedText: preprocessText(passage.text, language, analysis.config)
+      }));
+
+      batch.push({
+        line: lineNumber,
+        key,
+        hash: multilingual ? contentHash(title, content, language) : contentHash(title, content),
         content,
         title,
-        processedContent,
+        ...(multilingual && { language }),
+        passages,
         processedTitle,
+        keywordTerms,
         originalEntry: entry
       });
 
     } catch (error) {
-      console.error(`Error processing line: ${error.message}`);
+      logger.warn(`Error processing line ${lineNumber}: ${error.message}`);
     }
-  }
-
-  console.log(`Processed ${entries.length} entries, generating embeddings...`);
-
-  // Generate embeddings in batches to avoid memory issues
-  const batchSize = 32;
-  const contentEmbeddings = [];
-  const titleEmbeddings = [];
-
-  for (let i = 0; i < entries.length; i += batchSize) {
-    const batch = entries.slice(i, i + batchSize);
-
-    // Generate content embeddings
-    const contentBatch = batch.map(entry => entry.processedContent);
-    const contentEmbeddingBatch = await generateEmbeddings(embeddingModel, contentBatch);
-    contentEmbeddings.push(...contentEmbeddingBatch);
 
-    // Generate title embeddings if title boost is enabled
-    if (titleBoost) {
-      const titleBatch = batch.map(entry => entry.processedTitle);
-      const titleEmbeddingBatch = await generateEmbeddings(embeddingModel, titleBatch);
-      titleEmbeddings.push(...titleEmbeddingBatch);
+    if (batch.length >= BATCH_SIZE) {
+      yield batch;
+      batch = [];
     }
+  }
 
-    console.log(`Generated embeddings for ${Math.min(i + batchSize, entries.length)}/${entries.length} entries`);
+  if (batch.length > 0) {
+    yield batch;
   }
+}
 
-  // Create the index structure
-  const index = {
-    metadata: {
-      createdAt: new Date().toISOString(),
-      sourceFile: path.basename(filePath),
-      contentField,
-      titleField,
-      model,
-      titleBoost,
-      entryCount: entries.length
-    },
-    entries: entries.map((entry, i) => ({
-      id: entry.id,
-      title: entry.title,
-      content: entry.content,
-      contentEmbedding: Array.from(contentEmbeddings[i]),
-      titleEmbedding: titleBoost ? Array.from(titleEmbeddings[i]) : null,
-      originalEntry: entry.originalEntry
-    }))
+/**
+ * Normalizes the embedding failure settings of an indexing run
+ * @param {Object} options - Indexing options (see buildIndex)
+ * @param {boolean} titleBoost - Whether title embeddings are generated
+ * @returns {Object} Settings for embedEntries, collecting failures in `failures`
+ */
+function resolveEmbeddingOptions(options, titleBoost) {
+  const { onEmbeddingError = 'fail', retries, retryDelay, maxRetryDelay, logger = console } = options;
+  if (!FAILURE_POLICIES.includes(onEmbeddingError)) {
+    throw new Error(`Invalid embedding error policy '${onEmbeddingError}' (expected ${FAILURE_POLICIES.join(', ')})`);
+  }
+
+  return {
+    titleBoost,
+    policy: onEmbeddingError,
+    retry: _.omitBy({ retries, retryDelay, maxRetryDelay, logger }, _.isUndefined),
+    failures: [],
+    logger
   };
+}
 
-  // Save the index
-  const indexPath = path.join(outputDir, 'index.json');
-  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+/**
+ * Generates passage and title embeddings for a batch of entries, storing them
+ * on each entry. Entries that can't be embedded are handled by the failure
+ * policy and recorded in `options.failures`.
+ * @param {import('./embeddings.js').EmbeddingProvider} provider - The embedding provider
+ * @param {Array<Object>} entries - Entries to embed
+ * @param {Object} options - Settings from resolveEmbeddingOptions
+ * @returns {Promise<Array<Object>>} The entries to index: all of them, except failed ones under 'skip'
+ */
+async function embedEntries(provider, entries, options) {
+  const { titleBoost, policy, retry, failures, logger } = options;
+
+  // Passage and title texts are embedded together; each entry remembers where its texts start
+  const texts = [];
+  const offsets = entries.map(entry => {
+    const offset = texts.length;
+    texts.push(...entry.passages.map(passage => passage.processedText));
+    if (titleBoost) texts.push(entry.processedTitle);
+    return offset;
+  });
 
-  // Create a TfIdf index for keyword search
-  const tfidf = new natural.TfIdf();
+  let embeddings;
+  try {
+    embeddings = await generateEmbeddings(provider, texts, { retry, failFast: policy === 'fail', logger });
+  } catch (error) {
+    const lines = `${entries[0].line}-${entries[entries.length - 1].line}`;
+    throw new Error(`Could not embed the entries on lines ${lines}: ${error.message}`);
+  }
 
-  // Add documents to the TfIdf index
+  const failed = new Set();
   entries.forEach((entry, i) => {
-    // Combine processed content and title (with title boosting)
-    let document = entry.processedContent;
-    if (entry.processedTitle) {
-      // Add title terms multiple times to increase their weight
-      for (let i = 0; i < 3; i++) {
-        document += ' ' + entry.processedTitle;
-      }
+    const count = entry.passages.length + (titleBoost ? 1 : 0);
+    const own = embeddings.slice(offsets[i], offsets[i] + count);
+    const error = own.find(embedding => embedding instanceof Error);
+
+    if (error) {
+      failures.push({ line: entry.line, key: entry.key, error: error.message });
+      failed.add(entry);
+      if (policy === 'defer') markForReembedding(entry, provider, titleBoost);
+      return;
     }
-    tfidf.addDocument(document);
+
+    entry.passageEmbeddings = own.slice(0, entry.passages.length).map(embedding => Array.from(embedding));
+    entry.titleEmbedding = titleBoost ? Array.from(own[entry.passages.length]) : null;
   });
 
-  // Save the TfIdf index
-  const tfidfPath = path.join(outputDir, 'tfidf.json');
-  fs.writeFileSync(tfidfPath, JSON.stringify(tfidf, null, 2));
+  return policy === 'skip' ? entries.filter(entry => !failed.has(entry)) : entries;
+}
 
-  // Skip FAISS index creation for now
-  console.log('Skipping FAISS index creation due to compatibility issues.');
-  console.log('Using direct vector similarity calculation for search.');
+/**
+ * Gives an entry that could not be embedded zero vectors, which never match
+ * a query, and flags it so the next update embeds it again
+ * @param {Object} entry - The entry
+ * @param {import('./embeddings.js').EmbeddingProvider} provider - The embedding provider
+ * @param {boolean} titleBoost - Whether title embeddings are stored
+ */
+function markForReembedding(entry, provider, titleBoost) {
+  if (!provider.dimension) {
+    throw new Error(`Could not embed the entry on line ${entry.line}, and the embedding dimension is not known yet to mark it for re-embedding; set the dimension or use another policy`);
+  }
 
-  return outputDir;
+  const zero = new Array(provider.dimension).fill(0);
+  entry.passageEmbeddings = entry.passages.map(() => zero);
+  entry.titleEmbedding = titleBoost ? zero : null;
+  entry.pending = true;
 }
 
 /**
- * Loads a model for generating embeddings
- * @param {string} modelName - Name of the model to load
- * @returns {Promise<Object>} The model configuration
+ * Summarizes the entries that could not be embedded
+ * @param {Object} options - Settings from resolveEmbeddingOptions, with the collected failures
  */
-async function loadModel(modelName) {
-  if (models[modelName]) {
-    return models[modelName];
+function reportFailures({ policy, failures, logger }) {
+  if (failures.length === 0) return;
+
+  const outcome = policy === 'skip'
+    ? 'were left out of the index'
+    : 'are searchable by keywords only until the next update embeds them';
+  logger.warn(`${failures.length} entries could not be embedded and ${outcome}:`);
+  for (const failure of failures.slice(0, FAILURE_REPORT_LIMIT)) {
+    logger.warn(`  line ${failure.line}: ${failure.error}`);
+  }
+  if (failures.length > FAILURE_REPORT_LIMIT) {
+    logger.warn(`  ...and ${failures.length - FAILURE_REPORT_LIMIT} more`);
   }
+}
 
-  // Map model names to Hugging Face model IDs
-  let modelId;
-  switch (modelName) {
-    case 'universal-sentence-encoder':
-      modelId = 'sentence-transformers/all-MiniLM-L6-v2'; // A good sentence embedding model
-      break;
-    // Add more models as needed
-    default:
-      modelId = 'sentence-transformers/all-MiniLM-L6-v2';
+/**
+ * Upgrades an index to the current storage format: embeddings stored inside
+ * index.json move to binary vector storage, and indexes with the old TF-IDF
+ * keyword index get a BM25F index built from their stored text.
+ * Indexes already in the current format are left unchanged.
+ * @param {string} indexDir - Index directory
+ * @param {Object} [options] - Migration options
+ * @param {Object} [options.logger=console] - Receives progress messages through `log`
+ * @returns {Promise<boolean>} True if the index was migrated
+ */
+export async function migrateIndex(indexDir, options = {}) {
+  const { logger = console } = options;
+  const indexPath = path.join(indexDir, 'index.json');
+  if (!fs.existsSync(indexPath)) {
+    throw new Error(`Index not found in ${indexDir}`);
   }
 
-  try {
-    console.log(`Using Hugging Face model: ${modelId}`);
+  const needsVectors = !hasVectorStore(indexDir);
+  const needsKeywords = !hasBm25Index(indexDir);
+  if (!needsVectors && !needsKeywords) {
+    logger.log(`Index in ${indexDir} is already up to date`);
+    return false;
+  }
 
-    // Check if the API key is set
-    if (!HF_API_KEY) {
-      console.warn('No Hugging Face API key provided. Using the API without a key may result in rate limiting.');
-    }
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  const metadata = { ...index.metadata };
+  const titleBoost = metadata.titleBoost;
+  const analysis = indexAnalysis(metadata);
 
-    // Store the model ID in the cache
-    models[modelName] = { modelId };
-    return models[modelName];
+  if (needsVectors) {
+    metadata.ann = { type: 'hnsw', M: 16, efConstruction: 100 };
+  }
+  if (needsKeywords) {
+    metadata.fields = resolveFieldMapping({ contentField: metadata.contentField, titleField: metadata.titleField });
+    metadata.keyword = createKeywordSettings({ ...BM25_DEFAULTS, fields: metadata.fields });
+  }
+
+  // Rewrite the whole index; only the missing parts change
+  const vectors = openVectorStore(indexDir, { index: needsVectors ? index : null, preload: false });
+  const writer = createIndexWriter(indexDir, { titleBoost, keyword: metadata.keyword, logger });
+  try {
+    let row = 0;
+    index.entries.forEach(({ contentEmbedding, titleEmbedding, ...entry }, position) => {
+      const passages = (entry.passages || [[0, entry.content.length]]).map(([start, end]) => ({ start, end }));
+      writer.add({
+        ...entry,
+        passages,
+        passageEmbeddings: passages.map(() => vectors.get('content', row++)),
+        titleEmbedding: titleBoost ? vectors.get('title', position) : null,
+        keywordTerms: {
+          title: tokenize(entry.title, entry.language || analysis.language, analysis.config),
+          content: tokenize(entry.content, entry.language || analysis.language, analysis.config)
+        }
+      });
+    });
+    vectors.close();
+
+    await writer.finish(metadata);
   } catch (error) {
-    console.error(`Error initializing model: ${error.message}`);
-    throw new Error(`Failed to initialize embedding model: ${modelName}`);
+    vectors.close();
+    writer.abort();
+    throw error;
   }
+
+  if (needsVectors) {
+    logger.log(`Moved ${index.entries.length} embeddings in ${indexDir} to binary vector storage`);
+  }
+  if (needsKeywords) {
+    logger.log(`Built BM25 keyword index for ${index.entries.length} entries in ${indexDir}`);
+  }
+  return true;
 }
 
 /**
- * Generates embeddings for a batch of texts using Hugging Face API
- * @param {Object} model - The model configuration
- * @param {string[]} texts - Array of texts to embed
- * @returns {Promise<Array<Array<number>>>} Array of embeddings
+ * Normalizes keyword settings for the index metadata
+ * @param {Object} settings - BM25 settings
+ * @param {number} settings.k1 - Term frequency saturation
+ * @param {number} settings.b - Length normalization
+ * @param {import('./fields.js').FieldMapping[]} settings.fields - The field mapping
+ * @returns {Object} Keyword settings, including the list of indexed fields
  */
-async function generateEmbeddings(model, texts) {
-  try {
-    console.log(`Generating embeddings for ${texts.length} texts using Hugging Face API...`);
-
-    // Process texts in batches with controlled concurrency
-    const batchSize = 8; // Smaller batch size for API calls
-    const embeddings = new Array(texts.length);
-
-    for (let i = 0; i < texts.length; i += batchSize) {
-      const batch = texts.slice(i, i + batchSize);
-      console.log(`Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(texts.length/batchSize)}`);
-
-      // Use p-limit to control concurrency
-      const promises = batch.map((text, batchIndex) => {
-        return limit(async () => {
-          try {
-            // Use the Hugging Face feature-extraction endpoint
-            const result = await hf.featureExtraction({
-              model: model.modelId,
-              inputs: text
-            });
-
-            // Store in the correct position in the embeddings array
-            embeddings[i + batchIndex] = result;
-            return result;
-          } catch (error) {
-            console.error(`Error embedding text: ${error.message}`);
-            // Return a zero vector as fallback (adjust dimension based on the model)
-            const zeroVector = new Array(384).fill(0); // 384 is the dimension for all-MiniLM-L6-v2
-            embeddings[i + batchIndex] = zeroVector;
-            return zeroVector;
-          }
-        });
-      });
-
-      // Wait for all embeddings in this batch to complete
-      await Promise.all(promises);
-    }
+function createKeywordSettings({ k1, b, fields }) {
+  const keywordFields = fields.filter(field => field.mode !== 'vector');
+  return {
+    type: 'bm25f',
+    fields: keywordFields.map(field => field.name),
+    k1,
+    b,
+    fieldWeights: Object.fromEntries(keywordFields.map(field => [field.name, field.weight]))
+  };
+}
 
-    // Remove any undefined entries (should not happen, but just in case)
-    return embeddings.filter(embedding => embedding !== undefined);
-  } catch (error) {
-    console.error(`Error generating embeddings: ${error.message}`);
-    throw new Error(`Failed to generate embeddings: ${error.message}`);
+/**
+ * Gets the stable key of an entry
+ * @param {Object} entry - The original JSONL entry
+ * @param {string} [keyField] - Dot-path of the field holding the key
+ * @returns {string} The key; a hash of the whole entry when there is no key field
+ */
+export function entryKey(entry, keyField) {
+  const key = keyField ? getPathValue(entry, keyField) : undefined;
+  if (key !== undefined) {
+    return String(key);
   }
+  return crypto.createHash('sha1').update(JSON.stringify(entry)).digest('hex');
 }
 
 /**
- * Preprocesses text for embedding and indexing
- * @param {string} text - The text to preprocess
- * @returns {string} Preprocessed text
+ * Hashes the text that embeddings are generated from
+ * @param {string} title - Entry title
+ * @param {string} content - Entry content
+ * @param {string} [language] - Language the entry is analyzed in, when entries may differ
+ * @returns {string} Hex digest
  */
-function preprocessText(text) {
-  if (!text) return '';
+function contentHash(title, content, language) {
+  const text = language === undefined ? `${title}\u0000${content}` : `${title}\u0000${content}\u0000${language}`;
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
 
-  // Convert to lowercase
-  let processed = text.toLowerCase();
+/**
+ * Reports how many embeddings came from the embedding cache
+ * @param {import('./embeddings.js').EmbeddingProvider} provider - The embedding provider
+ * @param {Object} logger - Receives the report
+ */
+function logCacheStats(provider, logger) {
+  if (provider.cacheStats) {
+    const { hits, misses } = provider.cacheStats;
+    logger.log(`Embedding cache: ${hits} reused, ${misses} generated`);
+  }
+}
 
-  // Remove special characters and extra spaces
-  processed = processed.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+/**
+ * Generates embeddings for texts using the configured provider, retrying
+ * temporary failures
+ * @param {import('./embeddings.js').EmbeddingProvider} provider - The embedding provider
+ * @param {string[]} texts - Array of texts to embed
+ * @param {Object} options - Embedding options
+ * @param {Object} options.retry - Retry options (see embedWithRetry)
+ * @param {boolean} options.failFast - Throw on the first failure instead of recording it
+ * @param {Object} options.logger - Receives progress messages
+ * @returns {Promise<Array<Array<number>|Error>>} One embedding per text, or the error that prevented it
+ */
+async function generateEmbeddings(provider, texts, { retry, failFast, logger }) {
+  logger.log(`Generating embeddings for ${texts.length} texts using ${provider.name} provider...`);
 
-  // Tokenize
-  const tokens = tokenizer.tokenize(processed);
+  // Process texts in smaller batches so one failure doesn't discard the whole set
+  const batchSize = 8;
+  const embeddings = [];
 
-  // Remove stopwords
-  const filteredTokens = removeStopwords(tokens);
+  for (let i = 0; i < texts.length; i += batchSize) {
+    const batch = texts.slice(i, i + batchSize);
+    logger.log(`Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(texts.length/batchSize)}`);
 
-  // Lemmatize words using morpha (better than stemming)
-  const lemmatizedTokens = filteredTokens.map(token => {
     try {
-      return morpha.stem(token);
+      embeddings.push(...await embedWithRetry(provider, batch, retry));
     } catch (error) {
-      // Fallback to original token if lemmatization fails
-      return token;
+      if (failFast) throw error;
+
+      // A request rejected outright may be down to a single text, so the
+      // others get another chance one at a time
+      if (error.retryable || batch.length === 1) {
+        batch.forEach(() => embeddings.push(error));
+        continue;
+      }
+      for (const text of batch) {
+        try {
+          embeddings.push(...await embedWithRetry(provider, [text], retry));
+        } catch (textError) {
+          embeddings.push(textError);
+        }
+      }
     }
-  });
+  }
 
-  return lemmatizedTokens.join(' ');
+  return embeddings;
 }
@@ -0,0 +1,40 @@
+import fs from 'fs';
+
+// Buffered text is written once it reaches this many characters
+const FLUSH_SIZE = 1024 * 1024;
+
+/**
+ * Creates a buffered writer for large text files written piece by piece
+ * @param {string} filePath - File to create (an existing file is replaced)
+ * @returns {Object} Writer with `write(text)` and `close()`
+ */
+export function createLineWriter(filePath) {
+  const fd = fs.openSync(filePath, 'w');
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer) {
+      fs.writeSync(fd, buffer);
+      buffer = '';
+    }
+  };
+
+  return {
+    /**
+     * Appends text to the file
+     * @param {string} text - Text to write
+     */
+    write(text) {
+      buffer += text;
+      if (buffer.length >= FLUSH_SIZE) flush();
+    },
+
+    /**
+     * Writes any buffered text and closes the file
+     */
+    close() {
+      flush();
+      fs.closeSync(fd);
+    }
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Output formats of the command line interface: `text` for people, the
+ * others for other programs
+ * @type {string[]}
+ */
+export const OUTPUT_FORMATS = ['text', 'json', 'jsonl', 'csv', 'table'];
+
+// Longest cell shown in a table before it is cut
+const MAX_TABLE_CELL = 60;
+
+/**
+ * Formats command output for other programs
+ * @param {string} format - 'json', 'jsonl', 'csv' or 'table'
+ * @param {Object} output - What the command produced
+ * @param {any} output.data - Full output, written as one JSON document by `json`
+ * @param {Array<Object>} output.rows - Flat records, written as rows by `csv` and `table`
+ * @param {Array<Object>} [output.records] - Records written one per line by `jsonl` (default: the rows)
+ * @param {string[]} [output.columns] - Row keys shown as columns (default: the keys of the first row).
+ *   Given columns are written as the header of `csv` and `table` even without rows.
+ * @returns {string} The formatted output, ending with a newline unless empty
+ */
+export function formatOutput(format, { data, rows, records = rows, columns }) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2) + '\n';
+
+    case 'jsonl':
+      return records.map(record => JSON.stringify(record) + '\n').join('');
+
+    case 'csv':
+    case 'table': {
+      const headers = columns || Object.keys(rows[0] || {});
+      if (headers.length === 0) return '';
+      const cells = rows.map(row => headers.map(header => cellText(row[header])));
+      return format === 'csv' ? toCsv(headers, cells) : toTable(headers, cells);
+    }
+
+    default:
+      throw new Error(`Unknown output format '${format}' (available: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Writes CSV as described in RFC 4180
+ * @param {string[]} headers - Column names
+ * @param {string[][]} cells - Rows of cell texts
+ * @returns {string} The CSV text
+ */
+function toCsv(headers, cells) {
+  const quote = text => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  return [headers, ...cells].map(row => row.map(quote).join(',') + '\r\n').join('');
+}
+
+/**
+ * Writes a plain text table with aligned columns. Line breaks in cells are
+ * replaced by spaces and long cells are cut.
+ * @param {string[]} headers - Column names
+ * @param {string[][]} cells - Rows of cell texts
+ * @returns {string} The table text
+ */
+function toTable(headers, cells) {
+  const fit = text => {
+    const line = text.replace(/\s+/g, ' ');
+    return line.length > MAX_TABLE_CELL ? line.slice(0, MAX_TABLE_CELL - 3) + '...' : line;
+  };
+  const rows = [headers, ...cells].map(row => row.map(fit));
+  const widths = headers.map((header, i) => Math.max(...rows.map(row => row[i].length)));
+
+  const line = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd() + '\n';
+  return line(rows[0]) + line(widths.map(width => '-'.repeat(width))) + rows.slice(1).map(line).join('');
+}
+
+/**
+ * Turns a value into the text of a CSV or table cell; objects and arrays
+ * are written as JSON
+ * @param {any} value - Cell value
+ * @returns {string} Cell text
+ */
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
@@ -1,213 +1,683 @@
 import fs from 'fs';
 import path from 'path';
 import natural from 'natural';
-import stopwordPkg from 'stopword';
 import similarity from 'similarity';
-import { HfInference } from '@huggingface/inference';
-import fetch from 'node-fetch';
-import faiss from 'faiss-node';
-import morpha from 'morpha';
 import _ from 'lodash';
-import pLimit from 'p-limit';
-
-const { removeStopwords } = stopwordPkg;
-
-// Initialize Hugging Face Inference with API key
-const HF_API_KEY = process.env.HF_API_KEY || '';
-const hf = new HfInference(HF_API_KEY);
+import { createEmbeddingProvider, embedWithRetry } from './embeddings.js';
+import { cacheEmbeddings } from './embedding-cache.js';
+import { openVectorStore, hasVectorStore } from './vector-store.js';
+import { loadIndexEntries } from './index-store.js';
+import { hasHnswIndex, loadHnswIndex } from './hnsw.js';
+import { tokenize, preprocessText, indexAnalysis, detectLanguage, synonymTerms, LANGUAGES } from './analysis.js';
+import { hasBm25Index, loadBm25Index } from './bm25.js';
+import { compileFilter } from './filters.js';
+import { computeFacets } from './facets.js';
+import { fuseScores, explainFusion, validateFusion, RRF_K } from './fusion.js';
+import { highlightText } from './highlight.js';
 
 // Initialize NLP tools
 const tokenizer = new natural.WordTokenizer();
 
-// Set up concurrency limit for API calls
-const concurrencyLimit = 5;
-const limit = pLimit(concurrencyLimit);
+// Embedding providers cache, keyed by the provider settings stored in the index
+const providers = {};
 
-// Models cache
-const models = {};
+// What to do when the query can't be embedded
+const QUERY_FAILURE_POLICIES = ['fail', 'keyword'];
+
+/**
+ * Searches the indexed JSONL database. The index is loaded for this search
+ * only; use openIndex and searchOpenIndex to run many searches on one index.
+ * @param {string} query - The search query
+ * @param {Object} options - Search options (see searchOpenIndex)
+ * @param {string} options.indexDir - Directory containing the index
+ * @param {boolean|number} [options.preload] - Whether to load vectors into memory up front
+ *   (default: only when they are smaller than 512 MB)
+ * @returns {Promise<Array>} Search results (see searchOpenIndex)
+ */
+export async function searchIndex(query, options) {
+  const { indexDir = './index', preload } = options;
 
-// FAISS index cache
-const faissIndexes = {};
+  const handle = await openIndex(indexDir, { preload });
+  try {
+    return await searchOpenIndex(handle, query, options);
+  } finally {
+    handle.close();
+  }
+}
 
 /**
- * Searches the indexed JSONL database
+ * Loads an index for searching. Entries are kept in memory without their
+ * original JSONL entries, which are read from disk when asked for.
+ * @param {string} indexDir - Directory containing the index
+ * @param {Object} [options] - Loading options
+ * @param {boolean|number} [options.preload] - Whether to load vectors into memory up front
+ *   (default: only when they are smaller than 512 MB)
+ * @returns {Promise<Object>} Open index with `metadata`, `entries`, `getEntry(id)` and `close()`
+ */
+export async function openIndex(indexDir, options = {}) {
+  const indexPath = path.join(indexDir, 'index.json');
+
+  if (!fs.existsSync(indexPath)) {
+    throw new Error(`Index not found in ${indexDir}`);
+  }
+  if (!hasBm25Index(indexDir)) {
+    throw new Error(`Index in ${indexDir} has no BM25 keyword index; run 'jsonl-search migrate ${indexDir}' or rebuild it`);
+  }
+
+  // Indexes from before binary storage keep their vectors inside index.json
+  const index = hasVectorStore(indexDir)
+    ? await loadIndexEntries(indexDir)
+    : { ...JSON.parse(fs.readFileSync(indexPath, 'utf8')), close: () => {} };
+  let vectors;
+  try {
+    vectors = openVectorStore(indexDir, { index, preload: options.preload });
+  } catch (error) {
+    index.close();
+    throw error;
+  }
+  const bm25 = await loadBm25Index(indexDir);
+  const passages = mapPassages(index.entries);
+  const positionsById = new Map(index.entries.map((entry, i) => [entry.id, i]));
+
+  // Files from different builds can meet while an index is being rewritten
+  if (vectors.rows('content') !== passages.firstRow[index.entries.length] || bm25.docCount !== index.entries.length) {
+    vectors.close();
+    index.close();
+    throw new Error(`Index in ${indexDir} is incomplete or being written; try again when indexing has finished`);
+  }
+
+  // Loaded now rather than on first use: a rebuild replaces the files, and a
+  // graph read later could belong to the new vectors
+  const graph = hasHnswIndex(indexDir) ? loadHnswIndex(indexDir, row => vectors.get('content', row)) : null;
+
+  return {
+    dir: indexDir,
+    metadata: index.metadata,
+    entries: index.entries,
+    bm25,
+    vectors,
+    passages,
+    hasTitleVectors: Boolean(index.metadata.titleBoost && vectors.has('title')),
+
+    /**
+     * Gets the HNSW graph
+     * @returns {Object|null} The graph, or null if the index has none
+     */
+    getGraph() {
+      return graph;
+    },
+
+    /**
+     * Gets an entry by its id
+     * @param {number} id - Entry id
+     * @returns {Object|undefined} The index entry; its `originalEntry` is read from disk, so
+     *   only while the index is open
+     */
+    getEntry(id) {
+      const position = positionsById.get(id);
+      return position === undefined ? undefined : index.entries[position];
+    },
+
+    close() {
+      vectors.close();
+      index.close();
+    }
+  };
+}
+
+/**
+ * Searches an index opened with openIndex
+ * @param {Object} handle - The open index
  * @param {string} query - The search query
  * @param {Object} options - Search options
- * @param {string} options.indexDir - Directory containing the index
  * @param {number} options.limit - Maximum number of results
  * @param {number} options.threshold - Relevance threshold (0-1)
  * @param {number} options.semanticWeight - Weight for semantic similarity (0-1)
  * @param {number} options.titleWeight - Weight for title relevance (0-1)
- * @returns {Promise<Array>} Search results
+ * @param {string} [options.baseUrl] - Overrides the OpenAI-compatible server URL stored in the index
+ * @param {string} [options.apiKey] - API key for remote providers
+ * @param {boolean} [options.cache=true] - Reuse query embeddings from the embedding cache
+ * @param {string} [options.cacheDir] - Embedding cache directory (see defaultCacheDir)
+ * @param {string} [options.onEmbeddingError='fail'] - What to do when the query can't be embedded
+ *   once retries run out: 'fail' throws, 'keyword' ranks by keywords only and adds a warning
+ * @param {number} [options.retries=3] - Retries of a failed query embedding (see embedWithRetry)
+ * @param {number} [options.retryDelay=1000] - Delay before the first retry in milliseconds
+ * @param {string} [options.fusion='linear'] - How semantic, keyword and title scores are combined:
+ *   'linear', 'rrf', 'zscore', 'minmax', 'keyword' or 'vector' (see FUSION_STRATEGIES)
+ * @param {number} [options.rrfK=60] - Rank constant for reciprocal rank fusion
+ * @param {boolean} [options.exact=false] - Compare the query with every entry instead of using the HNSW graph
+ * @param {number} [options.efSearch] - HNSW candidate list size; lower is faster, higher finds
+ *   more of the truly nearest passages. At least the limit; the graph returns at most this many
+ *   passages (default: the number of candidates)
+ * @param {number} [options.candidates] - Number of nearest vectors to fetch from the graph
+ *   (default: 10 times the limit, at least 100)
+ * @param {number} [options.k1] - BM25 term frequency saturation (default: the index setting)
+ * @param {number} [options.b] - BM25 length normalization (default: the index setting)
+ * @param {Object<string, number>} [options.fieldWeights] - BM25F weight per field, overriding the index settings
+ * @param {Object|function(Object): boolean} [options.filter] - Metadata filter applied to the original
+ *   entries before ranking (see compileFilter), or a predicate function
+ * @param {Array<string|Object>} [options.facets] - Fields to count over all results above the
+ *   threshold, e.g. ['tags', 'date:month'] (see parseFacetSpec). Only candidates can be results:
+ *   with the HNSW graph, the nearest passages found plus the keyword matches, so counts are
+ *   complete only with `exact` or a filter small enough to be compared exactly
+ * @param {boolean} [options.explain=false] - Add an `explanation` tree to each result, breaking
+ *   its score down into signals, query terms and fields (see explainScore)
+ * @param {boolean} [options.highlight=false] - Add `highlights` to each result: the content fragments
+ *   with the densest query term matches (see highlightText)
+ * @param {number} [options.fragmentSize=150] - Maximum highlight fragment length in characters
+ * @param {number} [options.fragments=3] - Maximum number of highlight fragments per result
+ * @param {string} [options.preTag='<em>'] - Marker inserted before each highlighted match
+ * @param {string} [options.postTag='</em>'] - Marker inserted after each highlighted match
+ * @param {ArrayLike<number>} [options.queryVector] - Query embedding to use instead of embedding
+ *   the query (see searchSimilar)
+ * @param {ArrayLike<number>} [options.titleVector] - Embedding compared with the entry titles
+ *   (default: the query embedding)
+ * @param {string[]} [options.queryTerms] - Analyzed keyword terms to use instead of analyzing and
+ *   expanding the query
+ * @param {number[]} [options.exclude] - Ids of entries left out of the results
+ * @param {string} [options.language] - Language to analyze the query in (see LANGUAGES). By
+ *   default the index language; when entries differ in language, the one detected among them,
+ *   with keyword terms analyzed in each of them
+ * @param {boolean} [options.expansion] - Expand the query with WordNet and Word2Vec terms
+ *   (default: the index's analysis config, otherwise true). Configured synonyms always apply.
+ * @param {Object} [options.logger=console] - Receives progress messages through `log` and
+ *   embedding and expansion problems through `warn`
+ * @returns {Promise<Array>} Search results. Each result's semantic similarity is that of its best
+ *   matching passage, reported as `passage`. The array also carries `total`, the number of
+ *   candidates above the threshold (see `facets`), `facets` when facets were requested, and `warnings` when
+ *   the query could not be embedded
  */
-export async function searchIndex(query, options) {
+export async function searchOpenIndex(handle, query, options = {}) {
   const {
-    indexDir = './index',
     limit = 10,
     threshold = 0.5,
     semanticWeight = 0.7,
-    titleWeight = 0.3
+    titleWeight = 0.3,
+    rrfK = RRF_K,
+    k1,
+    b,
+    fieldWeights,
+    facets,
+    explain = false,
+    highlight = false,
+    fragmentSize,
+    fragments,
+    preTag,
+    postTag
   } = options;
 
-  // Check if index exists
-  const indexPath = path.join(indexDir, 'index.json');
-  const tfidfPath = path.join(indexDir, 'tfidf.json');
+  const { scored, strategy, queryTerms, allQueryTerms, maxKeywordScore, hasQueryEmbedding, warnings } =
+    await collectCandidates(handle, query, options);
+
+  // Combine semantic similarity, BM25 score and title relevance
+  const fusionOptions = { fusion: strategy, semanticWeight, titleWeight, rrfK };
+  const signals = scored.map(item => item.signal);
+  const fused = explain ? explainFusion(signals, fusionOptions) : null;
+  const scores = fused ? fused.map(item => item.score) : fuseScores(signals, fusionOptions);
+  const results = scored.map(({ result }, j) => {
+    result.score = scores[j];
+    result.relevance = scores[j];
+    return result;
+  });
 
-  if (!fs.existsSync(indexPath) || !fs.existsSync(tfidfPath)) {
-    throw new Error(`Index not found in ${indexDir}`);
+  // Sort by score and apply threshold
+  const matching = results
+    .filter(result => result.relevance >= threshold)
+    .sort((a, b) => b.score - a.score);
+
+  const page = matching.slice(0, limit);
+  page.total = matching.length;
+
+  // Returned results carry their original entries, as the index may be closed by the time they're read
+  for (const result of page) {
+    Object.defineProperty(result, 'originalEntry', { value: result.originalEntry, enumerable: true, writable: true });
+  }
+
+  // Highlight the query terms as analyzed for keyword search; without a
+  // match, the best passage is shown
+  if (highlight) {
+    const { language, config } = indexAnalysis(handle.metadata);
+    for (const result of page) {
+      result.highlights = highlightText(result.content, queryTerms, {
+        fragmentSize,
+        fragments,
+        preTag,
+        postTag,
+        fallback: result.passage,
+        language: result.language || language,
+        analysisConfig: config
+      });
+    }
   }
 
-  // Load the index
-  const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
-  const tfidfData = JSON.parse(fs.readFileSync(tfidfPath, 'utf8'));
-  const tfidf = new natural.TfIdf();
-  Object.assign(tfidf, tfidfData);
+  // Only the returned results are explained, as the term breakdown reads the postings
+  if (explain) {
+    const candidateOf = new Map(results.map((result, j) => [result, j]));
+    for (const result of page) {
+      const j = candidateOf.get(result);
+      result.explanation = explainScore({
+        ...scored[j],
+        fused: fused[j],
+        strategy,
+        rrfK,
+        queryTerms,
+        terms: strategy === 'vector' ? [] : allQueryTerms,
+        bm25: handle.bm25,
+        bm25Options: { k1, b, fieldWeights },
+        maxKeywordScore,
+        hasQueryEmbedding,
+        hasTitleVectors: handle.hasTitleVectors
+      });
+    }
+  }
+  if (warnings.length > 0) {
+    page.warnings = warnings;
+  }
+
+  // Facets count every matching candidate, not just the returned page
+  if (facets && facets.length > 0) {
+    page.facets = computeFacets(matching.map(result => result.originalEntry), facets);
+  }
+
+  return page;
+}
+
+/**
+ * Finds the candidates of a query and their signals, before they are fused
+ * into scores. Search and tuning share this step.
+ * @param {Object} handle - The open index
+ * @param {string} query - The search query
+ * @param {Object} options - Search options (see searchOpenIndex); weights, threshold and output
+ *   options don't apply
+ * @returns {Promise<Object>} `scored` (per candidate: its `signal` for fuseScores, its `result`
+ *   without a score, its `position` in the index and its `titleMatchScore`), the fusion `strategy`
+ *   that applies, `queryTerms`, `allQueryTerms` (with expansions), `queryLanguage`,
+ *   `maxKeywordScore`, `hasQueryEmbedding` and `warnings`
+ */
+export async function collectCandidates(handle, query, options = {}) {
+  const {
+    limit = 10,
+    baseUrl,
+    apiKey,
+    cache,
+    cacheDir,
+    onEmbeddingError = 'fail',
+    fusion = 'linear',
+    retries,
+    retryDelay,
+    exact = false,
+    efSearch,
+    candidates = Math.max(limit * 10, 100),
+    k1,
+    b,
+    fieldWeights,
+    filter,
+    queryVector,
+    titleVector,
+    exclude,
+    logger = console
+  } = options;
 
-  // Process the query
-  const processedQuery = preprocessText(query);
-  const queryTerms = processedQuery.split(' ');
+  const { entries, bm25, vectors, passages, hasTitleVectors } = handle;
 
-  // Generate query embeddings
-  const model = await loadModel(index.metadata.model);
-  const queryEmbedding = await generateEmbedding(model, processedQuery);
+  if (!QUERY_FAILURE_POLICIES.includes(onEmbeddingError)) {
+    throw new Error(`Invalid embedding error policy '${onEmbeddingError}' (expected ${QUERY_FAILURE_POLICIES.join(' or ')})`);
+  }
+  validateFusion(fusion);
+
+  // Analyze the query as the entries were; given terms are used as they are
+  const analysis = indexAnalysis(handle.metadata);
+  const queryLanguage = resolveQueryLanguage(query, analysis, options.language);
+  const termLanguages = options.language || analysis.languages.length < 2 ? [queryLanguage] : analysis.languages;
+  const analyzed = options.queryTerms
+    ? []
+    : termLanguages.map(language => ({ language, terms: tokenize(query, language, analysis.config) }));
+  const queryTerms = options.queryTerms || [...new Set(analyzed.flatMap(({ terms }) => terms))];
+  const processedQuery = options.queryTerms
+    ? queryTerms.join(' ')
+    : preprocessText(query, queryLanguage, analysis.config);
+
+  // Generate query embeddings with the same provider the index was built with
+  const warnings = [];
+  let queryEmbedding = fusion === 'keyword' ? null : queryVector || null;
+  if (fusion !== 'keyword' && !queryEmbedding) {
+    const provider = getProvider(handle.metadata, { baseUrl, apiKey }, { cache, cacheDir }, logger);
+    try {
+      queryEmbedding = await generateEmbedding(provider, processedQuery, {
+        retry: _.omitBy({ retries, retryDelay, logger }, _.isUndefined),
+        logger
+      });
+    } catch (error) {
+      if (onEmbeddingError !== 'keyword') throw error;
+      warnings.push(`The query could not be embedded, so results are ranked by keywords only: ${error.message}`);
+      logger.warn(warnings[0]);
+    }
+  }
 
-  // Expand the query with semantically related terms
-  const expandedQuery = await expandQuery(query, model);
-  const expandedQueryTerms = preprocessText(expandedQuery).split(' ');
+  // Without a query embedding, only keywords can rank
+  const strategy = queryEmbedding ? fusion : 'keyword';
+
+  // Expand the query with the configured synonyms, then with semantically
+  // related terms unless turned off; the thesauri are English
+  const synonyms = analyzed.flatMap(({ language, terms }) => synonymTerms(terms, language, analysis.config));
+  const expansion = options.expansion ?? (analysis.config ? analysis.config.expansion : true);
+  const expandedQueryTerms = options.queryTerms || !expansion || !['en', 'legacy'].includes(queryLanguage)
+    ? []
+    : tokenize(await expandQuery(query, logger), queryLanguage, analysis.config);
 
   // Combine original and expanded query terms
-  const allQueryTerms = [...new Set([...queryTerms, ...expandedQueryTerms])];
-
-  // Calculate TfIdf scores for keyword search
-  const tfidfScores = [];
-  for (let i = 0; i < index.entries.length; i++) {
-    // Calculate TfIdf score for this document
-    let score = 0;
-    allQueryTerms.forEach(term => {
-      // Add the term's TfIdf score for this document
-      score += tfidf.tfidf(term, i);
+  const allQueryTerms = [...new Set([...queryTerms, ...synonyms, ...expandedQueryTerms])];
+
+  // Restrict the search to entries matching the filter and not excluded, before anything is ranked
+  let allowed = null;
+  if (filter || (exclude && exclude.length > 0)) {
+    const predicate = !filter ? () => true : typeof filter === 'function' ? filter : compileFilter(filter);
+    const excluded = new Set(exclude);
+    allowed = new Set();
+    entries.forEach((entry, i) => {
+      if (!excluded.has(entry.id) && predicate(entry.originalEntry)) allowed.add(i);
     });
-    tfidfScores.push(score);
+  }
+  const isAllowed = i => !allowed || allowed.has(i);
+
+  // Calculate BM25F scores for keyword search; only matching entries get a score
+  const keywordScores = strategy === 'vector' ? new Map() : bm25.score(allQueryTerms, { k1, b, fieldWeights });
+  let maxKeywordScore = 0;
+  for (const [i, score] of keywordScores) {
+    if (!isAllowed(i)) {
+      keywordScores.delete(i);
+      continue;
+    }
+    maxKeywordScore = Math.max(maxKeywordScore, score);
   }
 
-  // Skip FAISS index loading and always use direct similarity calculation
-  console.log('Using direct vector similarity calculation for search.');
-  const usedFaiss = false;
+  // Pick the entries to score. The HNSW graph supplies the nearest passages;
+  // entries with keyword matches are always kept so they can still rank.
+  // Small filtered sets are cheaper to compare exactly.
+  const bestPassages = new Map();
+  let positions;
+
+  const graph = !queryEmbedding || exact || (allowed && allowed.size <= candidates) ? null : handle.getGraph();
+  if (graph) {
+    // A given candidate list size bounds how far the graph is explored, so it
+    // can trade recall for speed below the number of candidates
+    const ef = efSearch === undefined ? candidates : Math.max(efSearch, limit);
+    const neighbors = graph.search(queryEmbedding, Math.min(candidates, ef), {
+      ef,
+      filter: allowed ? row => isAllowed(passages.entryOf[row]) : undefined
+    });
+    // Neighbours come nearest first, so the first passage seen is an entry's best
+    for (const { node, similarity: score } of neighbors) {
+      const i = passages.entryOf[node];
+      if (!bestPassages.has(i)) bestPassages.set(i, { row: node, similarity: score });
+    }
+    positions = new Set([...bestPassages.keys(), ...keywordScores.keys()]);
+  } else if (!queryEmbedding) {
+    positions = keywordScores.keys();
+  } else if (allowed) {
+    positions = allowed;
+  } else {
+    logger.log('Using direct vector similarity calculation for search.');
+    positions = entries.keys();
+  }
 
-  // Calculate results
-  const results = await Promise.all(index.entries.map(async (entry, i) => {
-    let contentSimilarity;
+  // Collect the signals of each candidate; scores are fused afterwards
+  const scored = Array.from(positions, (i) => {
+    const entry = entries[i];
     let titleSimilarity = 0;
 
-    // Always use direct calculation since FAISS is skipped
-    const contentEmbedding = entry.contentEmbedding;
-    contentSimilarity = calculateCosineSimilarity(queryEmbedding, contentEmbedding);
+    // An entry is as similar as its best matching passage
+    let best = bestPassages.get(i);
+    if (!best && !queryEmbedding) {
+      // Keyword-only ranking can't pick a passage, so the first one is reported
+      best = { row: passages.firstRow[i], similarity: 0 };
+    }
+    if (!best) {
+      for (let row = passages.firstRow[i]; row < passages.firstRow[i + 1]; row++) {
+        const score = calculateCosineSimilarity(queryEmbedding, vectors.get('content', row));
+        if (!best || score > best.similarity) best = { row, similarity: score };
+      }
+    }
+    const contentSimilarity = best.similarity;
+    const passageIndex = best.row - passages.firstRow[i];
+    const [start, end] = entry.passages ? entry.passages[passageIndex] : [0, entry.content.length];
 
-    if (entry.titleEmbedding && index.metadata.titleBoost) {
-      const titleEmbedding = entry.titleEmbedding;
-      titleSimilarity = calculateCosineSimilarity(queryEmbedding, titleEmbedding);
+    if (hasTitleVectors && queryEmbedding) {
+      const titleEmbedding = vectors.get('title', i);
+      titleSimilarity = calculateCosineSimilarity(titleVector || queryEmbedding, titleEmbedding);
     }
 
     // Calculate direct title match score using string similarity
     const titleMatchScore = entry.title ?
       similarity(query.toLowerCase(), entry.title.toLowerCase()) : 0;
 
-    // Get TfIdf score for this entry
-    const tfidfScore = tfidfScores[i] || 0;
+    // Get BM25 score for this entry
+    const keywordScore = keywordScores.get(i) || 0;
 
-    // Normalize TfIdf score (0-1)
-    const normalizedTfIdf = tfidfScore / (Math.max(...tfidfScores) || 1);
+    // Normalize BM25 score (0-1)
+    const normalizedKeywordScore = keywordScore / (maxKeywordScore || 1);
 
-    // Calculate combined relevance score
-    // - Semantic similarity (vector-based)
-    // - TfIdf score (keyword-based)
-    // - Title relevance (if enabled)
-    const semanticScore = contentSimilarity * semanticWeight;
-    const keywordScore = normalizedTfIdf * (1 - semanticWeight);
-    const titleScore = (titleSimilarity + titleMatchScore) / 2 * titleWeight;
-
-    const totalScore = semanticScore + keywordScore + titleScore;
+    const signal = {
+      semantic: contentSimilarity,
+      keyword: keywordScore,
+      title: (titleSimilarity + titleMatchScore) / 2
+    };
 
-    return {
+    const result = {
       id: entry.id,
       title: entry.title,
       content: entry.content,
-      score: totalScore,
-      relevance: totalScore, // Normalized 0-1 score
+      score: 0,
+      relevance: 0,
       semanticSimilarity: contentSimilarity,
-      keywordRelevance: normalizedTfIdf,
+      keywordRelevance: normalizedKeywordScore,
       titleRelevance: titleSimilarity,
-      originalEntry: entry.originalEntry
+      passage: {
+        index: passageIndex,
+        count: passages.firstRow[i + 1] - passages.firstRow[i],
+        start,
+        end,
+        text: entry.content.slice(start, end),
+        similarity: contentSimilarity
+      },
+      ...(entry.language && { language: entry.language }),
+      // Read from disk, so only for the candidates that need it
+      get originalEntry() {
+        return entry.originalEntry;
+      }
     };
-  }));
 
-  // Sort by score and apply threshold
-  return results
-    .filter(result => result.relevance >= threshold)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, limit);
+    return { signal, result, position: i, titleMatchScore };
+  });
+
+  return {
+    scored,
+    strategy,
+    queryTerms,
+    allQueryTerms,
+    queryLanguage,
+    maxKeywordScore,
+    hasQueryEmbedding: Boolean(queryEmbedding),
+    warnings
+  };
 }
 
 /**
- * Loads a model for generating embeddings
- * @param {string} modelName - Name of the model to load
- * @returns {Promise<Object>} The model configuration
+ * Describes how each fusion strategy turns the signals into a score
+ * @type {Object<string, function(Object): string>}
+ */
+const FUSION_DESCRIPTIONS = {
+  linear: () => 'Sum of the weighted semantic, keyword and title scores',
+  rrf: ({ rrfK }) => `Weighted mean of the reciprocal ranks, (k + 1) / (k + rank) with k = ${rrfK}`,
+  zscore: ({ sum }) => `Logistic function of the weighted mean of the z-scores (${round(sum)})`,
+  minmax: () => 'Weighted mean of the scores scaled between the lowest and highest candidate',
+  keyword: () => 'Keyword score alone, divided by the best one of the query',
+  vector: () => 'Semantic similarity alone'
+};
+
+/**
+ * Builds the score breakdown of a search result. Every node has a `name`,
+ * a `value` and a `description`, and may have `details` (child nodes). The
+ * signal nodes (semantic, keyword and title) also carry the `normalized`
+ * value the fusion strategy combines, its `weight`, its `contribution` to the
+ * score and, with reciprocal rank fusion, the candidate's `rank`.
+ * @param {Object} context - Everything known about the result's scoring
+ * @returns {Object} The root node, whose value is the result's score
  */
-async function loadModel(modelName) {
-  if (models[modelName]) {
-    return models[modelName];
+function explainScore(context) {
+  const { result, fused, strategy, rrfK, position, titleMatchScore } = context;
+  const { bm25, bm25Options, maxKeywordScore, queryTerms } = context;
+
+  const signalNode = (name, description, details) => ({
+    name,
+    ...fused.signals[name],
+    description,
+    ...(details ? { details } : {})
+  });
+
+  // Break the BM25F score down into query terms and fields
+  const termNodes = [];
+  for (const term of context.terms) {
+    const explained = bm25.explainTerm(term, position, bm25Options);
+    if (!explained) continue;
+
+    termNodes.push({
+      name: term,
+      source: queryTerms.includes(term) ? 'query' : 'expansion',
+      value: explained.score,
+      description: `idf ${round(explained.idf)} (in ${explained.documentFrequency} of ${bm25.docCount} entries) × ` +
+        `tf ${round(explained.tf)} / (k1 ${round(explained.k1)} + tf)`,
+      details: explained.fields.map(field => ({
+        name: field.field,
+        value: field.tf,
+        description: `weight ${round(field.weight)} × frequency ${field.frequency} / ` +
+          `(1 - b + b × length ${field.length} / average ${round(field.averageLength)}) with b ${round(explained.b)}`
+      }))
+    });
   }
 
-  // Map model names to Hugging Face model IDs
-  let modelId;
-  switch (modelName) {
-    case 'universal-sentence-encoder':
-      modelId = 'sentence-transformers/all-MiniLM-L6-v2'; // A good sentence embedding model
-      break;
-    // Add more models as needed
-    default:
-      modelId = 'sentence-transformers/all-MiniLM-L6-v2';
+  const semanticDescription = context.hasQueryEmbedding
+    ? `Cosine similarity of the best passage (${result.passage.index + 1} of ${result.passage.count})`
+    : 'The query was not embedded';
+  const keywordDescription = strategy === 'vector'
+    ? 'Keyword scoring is skipped by vector fusion'
+    : `BM25F score, the sum of the matching query terms (best of the query: ${round(maxKeywordScore)})`;
+
+  const sum = Object.values(fused.signals).reduce((total, part) => total + part.contribution, 0);
+  return {
+    name: 'score',
+    value: fused.score,
+    fusion: strategy,
+    description: FUSION_DESCRIPTIONS[strategy]({ rrfK, sum }),
+    details: [
+      signalNode('semantic', semanticDescription),
+      signalNode('keyword', keywordDescription, termNodes),
+      signalNode('title', 'Mean of the title vector similarity and the title string similarity', [
+        {
+          name: 'vector similarity',
+          value: result.titleRelevance,
+          description: context.hasTitleVectors && context.hasQueryEmbedding
+            ? 'Cosine similarity of the query and the title embedding'
+            : 'No title embedding to compare with'
+        },
+        {
+          name: 'string similarity',
+          value: titleMatchScore,
+          description: 'Edit distance similarity of the query and the title'
+        }
+      ])
+    ]
+  };
+}
+
+/**
+ * Rounds a number for display in explanations
+ * @param {number} value - The number
+ * @returns {number} The number rounded to four decimals
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Maps content vector rows to entries. Each entry has one row per passage;
+ * entries from before chunking have a single row.
+ * @param {Array<Object>} entries - Index entries
+ * @returns {{firstRow: Int32Array, entryOf: Int32Array}} First row of each entry (with a final
+ *   element holding the row count) and the entry position of each row
+ */
+function mapPassages(entries) {
+  const firstRow = new Int32Array(entries.length + 1);
+  entries.forEach((entry, i) => {
+    firstRow[i + 1] = firstRow[i] + (entry.passages ? entry.passages.length : 1);
+  });
+
+  const entryOf = new Int32Array(firstRow[entries.length]);
+  for (let i = 0; i < entries.length; i++) {
+    entryOf.fill(i, firstRow[i], firstRow[i + 1]);
   }
 
-  try {
-    console.log(`Using Hugging Face model: ${modelId}`);
+  return { firstRow, entryOf };
+}
 
-    // Check if the API key is set
-    if (!HF_API_KEY) {
-      console.warn('No Hugging Face API key provided. Using the API without a key may result in rate limiting.');
+/**
+ * Picks the language a query is analyzed in
+ * @param {string} query - The search query
+ * @param {Object} analysis - Analysis settings of the index (see indexAnalysis)
+ * @param {string} [language] - Language asked for
+ * @returns {string} The language: the one asked for, the only one in the index, or the one
+ *   detected among the index languages
+ */
+function resolveQueryLanguage(query, analysis, language) {
+  if (language) {
+    if (!LANGUAGES.includes(language)) {
+      throw new Error(`Unknown language '${language}' (available: ${LANGUAGES.join(', ')})`);
     }
+    return language;
+  }
+  if (analysis.languages.length < 2) {
+    // An empty index detecting languages has none to go by
+    return analysis.languages[0] || (analysis.language === 'auto' ? 'standard' : analysis.language);
+  }
+  return detectLanguage(query, analysis.languages);
+}
 
-    // Store the model ID in the cache
-    models[modelName] = { modelId };
-    return models[modelName];
-  } catch (error) {
-    console.error(`Error initializing model: ${error.message}`);
-    throw new Error(`Failed to initialize embedding model: ${modelName}`);
+/**
+ * Gets the embedding provider recorded in the index metadata
+ * @param {Object} metadata - Index metadata
+ * @param {Object} overrides - Connection settings that are not stored in the index
+ * @param {Object} cacheOptions - Embedding cache options (see cacheEmbeddings)
+ * @param {Object} logger - Receives the messages of a newly created provider
+ * @returns {import('./embeddings.js').EmbeddingProvider} The embedding provider
+ */
+function getProvider(metadata, overrides, cacheOptions, logger) {
+  // Indexes built before providers were recorded always used Hugging Face
+  const settings = metadata.provider || { name: 'huggingface', model: metadata.model };
+  // Overrides left unset keep the stored settings, such as the server the index was built with
+  const config = { ...settings, ..._.omitBy(overrides, _.isUndefined) };
+  const key = JSON.stringify([config, cacheOptions]);
+
+  if (!providers[key]) {
+    providers[key] = cacheEmbeddings(createEmbeddingProvider({ ...config, logger }), { ..._.omitBy(cacheOptions, _.isUndefined), logger });
   }
+  return providers[key];
 }
 
 /**
- * Generates an embedding for a single text using Hugging Face API
- * @param {Object} model - The model configuration
+ * Generates an embedding for a single text using the embedding provider
+ * @param {import('./embeddings.js').EmbeddingProvider} provider - The embedding provider
  * @param {string} text - Text to embed
+ * @param {Object} options - Embedding options
+ * @param {Object} options.retry - Retry options (see embedWithRetry)
+ * @param {Object} options.logger - Receives progress messages
  * @returns {Promise<Array<number>>} Embedding array
+ * @throws {Error} With `code` 'EMBEDDING_FAILED' when the text can't be embedded
  */
-async function generateEmbedding(model, text) {
-  try {
-    console.log(`Generating embedding for query: "${text.substring(0, 30)}..."`);
+async function generateEmbedding(provider, text, { retry, logger }) {
+  logger.log(`Generating embedding for query: "${text.substring(0, 30)}..."`);
 
-    // Use the Hugging Face feature-extraction endpoint
-    const result = await hf.featureExtraction({
-      model: model.modelId,
-      inputs: text
-    });
-
-    return result; // This will be an array of numbers representing the embedding
-  } catch (error) {
-    console.error(`Error generating embedding: ${error.message}`);
-    // Return a zero vector as fallback (adjust dimension based on the model)
-    return new Array(384).fill(0); // 384 is the dimension for all-MiniLM-L6-v2
-  }
+  const [embedding] = await embedWithRetry(provider, [text], retry);
+  return embedding;
 }
 
 /**
@@ -244,49 +714,16 @@ function calculateCosineSimilarity(a, b) {
   return dotProduct / (normA * normB);
 }
 
-/**
- * Preprocesses text for embedding and searching
- * @param {string} text - The text to preprocess
- * @returns {string} Preprocessed text
- */
-function preprocessText(text) {
-  if (!text) return '';
-
-  // Convert to lowercase
-  let processed = text.toLowerCase();
-
-  // Remove special characters and extra spaces
-  processed = processed.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
-
-  // Tokenize
-  const tokens = tokenizer.tokenize(processed);
-
-  // Remove stopwords
-  const filteredTokens = removeStopwords(tokens);
-
-  // Lemmatize words using morpha (better than stemming)
-  const lemmatizedTokens = filteredTokens.map(token => {
-    try {
-      return morpha.stem(token);
-    } catch (error) {
-      // Fallback to original token if lemmatization fails
-      return token;
-    }
-  });
-
-  return lemmatizedTokens.join(' ');
-}
-
 // Cache for word2vec models
 const word2vecModels = {};
 
 /**
  * Expands a query with semantically related terms
  * @param {string} query - Original query
- * @param {Object} model - Embedding model configuration
+ * @param {Object} logger - Receives warnings when related terms can't be found
  * @returns {Promise<string>} Expanded query
  */
-async function expandQuery(query, model) {
+async function expandQuery(query, logger) {
   // Tokenize the query
   const tokens = tokenizer.tokenize(query.toLowerCase());
 
@@ -317,16 +754,16 @@ async function expandQuery(query, model) {
     // 2. Try to get similar words using Word2Vec
     try {
       // Load or get cached Word2Vec model
-      const word2vecModel = await getWord2VecModel();
+      const word2vecModel = await getWord2VecModel(logger);
 
       if (word2vecModel) {
         // Get similar words
-        const similarWords = await getSimilarWords(word2vecModel, token, 3);
+        const similarWords = await getSimilarWords(word2vecModel, token, 3, logger);
         similarWords.forEach(word => synonyms.add(word));
       }
     } catch (error) {
       // Word2Vec might fail, continue without Word2Vec synonyms
-      console.warn(`Word2Vec expansion failed for '${token}': ${error.message}`);
+      logger.warn(`Word2Vec expansion failed for '${token}': ${error.message}`);
     }
   }
 
@@ -336,9 +773,10 @@ async function expandQuery(query, model) {
 
 /**
  * Gets or loads a Word2Vec model
+ * @param {Object} logger - Receives a warning if the model can't be loaded
  * @returns {Promise<Object>} Word2Vec model
  */
-async function getWord2VecModel() {
+async function getWord2VecModel(logger) {
   // Check if we already have a loaded model
   if (word2vecModels.default) {
     return word2vecModels.default;
@@ -375,7 +813,7 @@ async function getWord2VecModel() {
     word2vecModels.default = await modelPromise;
     return word2vecModels.default;
   } catch (error) {
-    console.error(`Error loading Word2Vec model: ${error.message}`);
+    logger.warn(`Error loading Word2Vec model: ${error.message}`);
     return null;
   }
 }
@@ -385,9 +823,10 @@ async function getWord2VecModel() {
  * @param {Object} model - Word2Vec model
  * @param {string} word - Word to find similar words for
  * @param {number} count - Number of similar words to return
+ * @param {Object} logger - Receives a warning if the lookup fails
  * @returns {Promise<Array<string>>} Similar words
  */
-async function getSimilarWords(model, word, count = 3) {
+async function getSimilarWords(model, word, count, logger) {
   try {
     // Get similar words from the model
     const similarWords = model.getNearestWords(word, count) || [];
@@ -395,7 +834,7 @@ async function getSimilarWords(model, word, count = 3) {
     // Extract just the words
     return similarWords.map(item => item.word || '').filter(Boolean);
   } catch (error) {
-    console.warn(`Error getting similar words for '${word}': ${error.message}`);
+    logger.warn(`Error getting similar words for '${word}': ${error.message}`);
     return [];
   }
 }
@@ -0,0 +1,345 @@
+import http from 'http';
+import pLimit from 'p-limit';
+import { SearchEngine } from './engine.js';
+import { compileFilter } from './filters.js';
+import { parseFacetSpec } from './facets.js';
+import { validateFusion } from './fusion.js';
+import { LANGUAGES } from './analysis.js';
+
+// Search options accepted from clients, with their expected types
+const SEARCH_OPTIONS = {
+  limit: 'number',
+  threshold: 'number',
+  semanticWeight: 'number',
+  titleWeight: 'number',
+  exact: 'boolean',
+  efSearch: 'number',
+  candidates: 'number',
+  k1: 'number',
+  b: 'number',
+  fieldWeights: 'object',
+  filter: 'object',
+  facets: 'array',
+  onEmbeddingError: 'string',
+  fusion: 'string',
+  rrfK: 'number',
+  explain: 'boolean',
+  highlight: 'boolean',
+  fragmentSize: 'number',
+  fragments: 'number',
+  preTag: 'string',
+  postTag: 'string',
+  language: 'string',
+  expansion: 'boolean'
+};
+
+/**
+ * Loads an index and serves it over a JSON HTTP API. The index is reloaded
+ * when it changes on disk (see SearchEngine).
+ * - `GET /health`: server status
+ * - `GET /metadata`: index metadata
+ * - `GET /entries/:id`: a single entry
+ * - `POST /search` with `{ "query": "...", ...searchOptions }`, or
+ *   `GET /search?q=...&limit=...`: search results
+ * @param {Object} options - Server options
+ * @param {string} [options.indexDir='./index'] - Directory containing the index
+ * @param {string} [options.host='127.0.0.1'] - Host to listen on
+ * @param {number} [options.port=3000] - Port to listen on (0 picks a free port)
+ * @param {number} [options.maxBodySize=1048576] - Maximum request body size in bytes
+ * @param {number} [options.concurrency=4] - Maximum number of searches run at once
+ * @param {number} [options.maxQueue=100] - Maximum number of searches waiting; more are rejected with 503
+ * @param {boolean|number} [options.preload] - Whether to load vectors into memory up front
+ * @param {string} [options.baseUrl] - Overrides the OpenAI-compatible server URL stored in the index
+ * @param {string} [options.apiKey] - API key for remote providers
+ * @param {boolean} [options.cache=true] - Reuse query embeddings from the embedding cache
+ * @param {string} [options.cacheDir] - Embedding cache directory
+ * @param {string} [options.onEmbeddingError='fail'] - Default handling of queries that can't be
+ *   embedded: 'fail' responds with 502, 'keyword' ranks by keywords only with a warning
+ * @param {boolean} [options.autoReload=true] - Reload the index when it changes on disk
+ * @param {Object} [options.logger=console] - Receives the messages of searches, failed reloads and
+ *   failed requests
+ * @returns {Promise<http.Server>} The listening server; closing it closes the index
+ */
+export async function startServer(options = {}) {
+  const { indexDir = './index', host = '127.0.0.1', port = 3000, preload, baseUrl, apiKey, autoReload, cache, cacheDir, onEmbeddingError, logger = console } = options;
+
+  const engine = await SearchEngine.open(indexDir, { preload, baseUrl, apiKey, autoReload, cache, cacheDir, onEmbeddingError, logger });
+  const server = createServer(engine, options);
+  server.on('close', () => engine.close());
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  return server;
+}
+
+/**
+ * Creates an HTTP server for a search engine (see startServer for the API)
+ * @param {SearchEngine} engine - A loaded search engine
+ * @param {Object} [options] - Server options (see startServer)
+ * @returns {http.Server} The server, not yet listening
+ */
+export function createServer(engine, options = {}) {
+  const { maxBodySize = 1024 * 1024, concurrency = 4, maxQueue = 100, logger = console } = options;
+  const limit = pLimit(concurrency);
+  const startedAt = Date.now();
+
+  const routes = {
+    async health() {
+      const stats = engine.stats();
+      return {
+        status: 'ok',
+        entries: stats.entries,
+        loadedAt: stats.loadedAt,
+        reloads: stats.reloads,
+        uptime: Math.round((Date.now() - startedAt) / 1000),
+        activeSearches: limit.activeCount,
+        queuedSearches: limit.pendingCount
+      };
+    },
+
+    async metadata() {
+      return engine.metadata;
+    },
+
+    async entry(id) {
+      const entry = engine.get(Number(id));
+      if (!entry) {
+        throw httpError(404, `Entry ${id} not found`);
+      }
+      return entry;
+    },
+
+    async search(request) {
+      if (limit.pendingCount >= maxQueue) {
+        throw httpError(503, 'Too many searches in progress, try again later');
+      }
+
+      const { query, options: searchOptions } = request;
+      const results = await limit(() => engine.search(query, searchOptions));
+
+      return {
+        query,
+        total: results.total,
+        results: [...results],
+        ...(results.facets ? { facets: results.facets } : {}),
+        ...(results.warnings ? { warnings: results.warnings } : {})
+      };
+    }
+  };
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const entryMatch = url.pathname.match(/^\/entries\/([^/]+)$/);
+      let body;
+
+      if (url.pathname === '/health') {
+        requireMethod(req, ['GET']);
+        body = await routes.health();
+      } else if (url.pathname === '/metadata') {
+        requireMethod(req, ['GET']);
+        body = await routes.metadata();
+      } else if (entryMatch) {
+        requireMethod(req, ['GET']);
+        body = await routes.entry(decodeURIComponent(entryMatch[1]));
+      } else if (url.pathname === '/search') {
+        requireMethod(req, ['GET', 'POST']);
+        const request = req.method === 'POST'
+          ? parseSearchBody(await readBody(req, maxBodySize))
+          : parseSearchParams(url.searchParams);
+        body = await routes.search(request);
+      } else {
+        throw httpError(404, `Not found: ${url.pathname}`);
+      }
+
+      sendJson(res, 200, body);
+    } catch (error) {
+      // The embedding provider is an upstream service
+      const status = error.status || (error.code === 'EMBEDDING_FAILED' ? 502 : 500);
+      if (status >= 500) {
+        logger.warn(`Error handling ${req.method} ${req.url}: ${error.message}`);
+      }
+      sendJson(res, status, { error: error.message });
+    }
+  });
+}
+
+/**
+ * Reads a request body, rejecting bodies over the size limit
+ * @param {http.IncomingMessage} req - The request
+ * @param {number} maxBodySize - Maximum size in bytes
+ * @returns {Promise<string>} The body
+ */
+function readBody(req, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > maxBodySize) {
+      req.resume();
+      reject(httpError(413, `Request body exceeds ${maxBodySize} bytes`));
+      return;
+    }
+
+    // Oversized bodies are drained and discarded so the 413 response can still be sent
+    const chunks = [];
+    let size = 0;
+    let rejected = false;
+    req.on('data', chunk => {
+      if (rejected) return;
+      size += chunk.length;
+      if (size > maxBodySize) {
+        rejected = true;
+        chunks.length = 0;
+        reject(httpError(413, `Request body exceeds ${maxBodySize} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parses and validates a JSON search request body
+ * @param {string} text - Request body
+ * @returns {{query: string, options: Object}} The query and search options
+ */
+function parseSearchBody(text) {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw httpError(400, `Request body is not valid JSON: ${error.message}`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+
+  const { query, ...options } = body;
+  return validateSearch(query, options);
+}
+
+/**
+ * Parses search parameters from a query string. Objects such as filters are
+ * given as JSON and facets as a comma-separated list.
+ * @param {URLSearchParams} params - Query string parameters
+ * @returns {{query: string, options: Object}} The query and search options
+ */
+function parseSearchParams(params) {
+  const options = {};
+  for (const [name, type] of Object.entries(SEARCH_OPTIONS)) {
+    const value = params.get(name);
+    if (value === null) continue;
+
+    if (type === 'number') {
+      options[name] = Number(value);
+    } else if (type === 'boolean') {
+      options[name] = value === 'true' || value === '1';
+    } else if (type === 'array') {
+      options[name] = value.split(',');
+    } else if (type === 'string') {
+      options[name] = value;
+    } else {
+      try {
+        options[name] = JSON.parse(value);
+      } catch (error) {
+        throw httpError(400, `Parameter ${name} is not valid JSON: ${error.message}`);
+      }
+    }
+  }
+  return validateSearch(params.get('q') ?? params.get('query'), options);
+}
+
+/**
+ * Validates a search request so client mistakes are reported as 400 errors
+ * @param {any} query - The query
+ * @param {Object} options - Search options
+ * @returns {{query: string, options: Object}} The validated request
+ */
+function validateSearch(query, options) {
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw httpError(400, 'A non-empty "query" is required');
+  }
+
+  for (const [name, value] of Object.entries(options)) {
+    const type = SEARCH_OPTIONS[name];
+    if (!type) {
+      throw httpError(400, `Unknown search option: ${name}`);
+    }
+
+    const valid = type === 'number' ? typeof value === 'number' && isFinite(value)
+      : type === 'array' ? Array.isArray(value)
+      : type === 'object' ? value !== null && typeof value === 'object' && !Array.isArray(value)
+      : typeof value === type;
+    if (!valid) {
+      throw httpError(400, `Search option ${name} must be ${type === 'array' ? 'an array' : `a ${type}`}`);
+    }
+  }
+
+  if (options.onEmbeddingError !== undefined && !['fail', 'keyword'].includes(options.onEmbeddingError)) {
+    throw httpError(400, 'Search option onEmbeddingError must be "fail" or "keyword"');
+  }
+
+  for (const name of ['limit', 'candidates', 'efSearch', 'rrfK', 'fragmentSize', 'fragments']) {
+    if (options[name] !== undefined && options[name] < 1) {
+      throw httpError(400, `Search option ${name} must be at least 1`);
+    }
+  }
+
+  if (options.language !== undefined && !LANGUAGES.includes(options.language)) {
+    throw httpError(400, `Unknown language '${options.language}' (available: ${LANGUAGES.join(', ')})`);
+  }
+
+  try {
+    if (options.filter) compileFilter(options.filter);
+    if (options.facets) options.facets.forEach(parseFacetSpec);
+    if (options.fusion) validateFusion(options.fusion);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+
+  return { query, options };
+}
+
+/**
+ * Rejects requests with an unsupported method
+ * @param {http.IncomingMessage} req - The request
+ * @param {string[]} methods - Allowed methods
+ */
+function requireMethod(req, methods) {
+  if (!methods.includes(req.method)) {
+    throw httpError(405, `Method ${req.method} not allowed`);
+  }
+}
+
+/**
+ * Creates an error carrying an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {any} body - Response body
+ */
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json)
+  });
+  res.end(json);
+}
@@ -0,0 +1,126 @@
+import { openIndex, searchOpenIndex } from './searcher.js';
+import { tokenize, indexAnalysis } from './analysis.js';
+import { entryVector } from './dedupe.js';
+
+/**
+ * Finds entries similar to one or more entries of an index
+ * @param {number|number[]} like - Id or ids of the entries to find more of
+ * @param {Object} options - Search options (see searchSimilarOpenIndex)
+ * @param {string} [options.indexDir='./index'] - Directory containing the index
+ * @returns {Promise<Array>} Search results, without the seed entries
+ */
+export async function searchSimilar(like, options = {}) {
+  const { indexDir = './index', preload, ...searchOptions } = options;
+  const handle = await openIndex(indexDir, { preload });
+  try {
+    return await searchSimilarOpenIndex(handle, like, searchOptions);
+  } finally {
+    handle.close();
+  }
+}
+
+/**
+ * Finds entries similar to seed entries of an open index ("more like this").
+ * Instead of embedding a text query, the search uses the stored embeddings of
+ * the seeds: their mean content and title vectors, moved away from those of
+ * any entries to avoid. The keyword query is made of the seeds' most
+ * distinctive terms (highest TF-IDF), leaving out those of the entries to
+ * avoid. Seeds and entries to avoid are not returned.
+ * @param {Object} handle - The open index
+ * @param {number|number[]} like - Id or ids of the entries to find more of
+ * @param {Object} [options] - Search options; others are passed to searchOpenIndex
+ * @param {number[]} [options.unlike=[]] - Ids of entries whose kind of content to avoid
+ * @param {number} [options.unlikeWeight=0.5] - How far the query vectors move away from the
+ *   entries to avoid, relative to the seeds
+ * @param {number} [options.terms=10] - Keyword terms taken from the seeds
+ * @returns {Promise<Array>} Search results as from searchOpenIndex, also carrying `terms`, the
+ *   keyword terms used
+ */
+export async function searchSimilarOpenIndex(handle, like, options = {}) {
+  const { unlike = [], unlikeWeight = 0.5, terms = 10, ...searchOptions } = options;
+  const likeIds = Array.isArray(like) ? like : [like];
+  if (likeIds.length === 0) {
+    throw new Error('Similar search needs at least one entry id');
+  }
+
+  const positionOf = id => {
+    const entry = handle.getEntry(id);
+    if (!entry) throw new Error(`Entry ${id} not found`);
+    return handle.entries.indexOf(entry);
+  };
+  const liked = likeIds.map(positionOf);
+  const unliked = unlike.map(positionOf);
+
+  const queryVector = seedVector(liked.map(i => entryVector(handle, i)), unliked.map(i => entryVector(handle, i)), unlikeWeight);
+  const titleVector = handle.hasTitleVectors
+    ? seedVector(liked.map(i => handle.vectors.get('title', i)), unliked.map(i => handle.vectors.get('title', i)), unlikeWeight)
+    : undefined;
+
+  const avoided = new Set(distinctiveTerms(handle, unliked, terms));
+  const queryTerms = distinctiveTerms(handle, liked, terms + avoided.size).filter(term => !avoided.has(term)).slice(0, terms);
+
+  // Titles of the seeds stand in for the query text in the title match
+  const query = liked.map(i => handle.entries[i].title || '').join(' ');
+  const results = await searchOpenIndex(handle, query, {
+    ...searchOptions,
+    queryVector,
+    titleVector,
+    queryTerms,
+    exclude: [...likeIds, ...unlike, ...(searchOptions.exclude || [])]
+  });
+  results.terms = queryTerms;
+  return results;
+}
+
+/**
+ * Combines seed vectors in the manner of Rocchio feedback: the mean of the
+ * vectors to find, minus a share of the mean of those to avoid
+ * @param {Array<ArrayLike<number>>} like - Vectors to find more of
+ * @param {Array<ArrayLike<number>>} unlike - Vectors to avoid
+ * @param {number} unlikeWeight - Share of the avoided mean subtracted
+ * @returns {Float32Array} The unit query vector
+ */
+function seedVector(like, unlike, unlikeWeight) {
+  const result = new Float32Array(like[0].length);
+  const add = (vectors, weight) => {
+    for (const vector of vectors) {
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      for (let d = 0; d < result.length; d++) result[d] += weight * vector[d] / norm / vectors.length;
+    }
+  };
+  add(like, 1);
+  add(unlike, -unlikeWeight);
+
+  const norm = Math.sqrt(result.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return result.map(value => value / norm);
+}
+
+/**
+ * Picks the terms that best characterize some entries: frequent in them and
+ * rare in the index (term frequency times BM25 inverse document frequency)
+ * @param {Object} handle - The open index
+ * @param {number[]} positions - Entry positions
+ * @param {number} count - Number of terms
+ * @returns {string[]} Analyzed terms, most distinctive first
+ */
+function distinctiveTerms(handle, positions, count) {
+  const { bm25, entries } = handle;
+  const { language, config } = indexAnalysis(handle.metadata);
+  const frequencies = new Map();
+  for (const i of positions) {
+    const text = `${entries[i].title || ''} ${entries[i].content || ''}`;
+    for (const term of tokenize(text, entries[i].language || language, config)) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+  }
+
+  return [...frequencies]
+    .filter(([term]) => bm25.documentFrequency(term) > 0)
+    .map(([term, frequency]) => {
+      const df = bm25.documentFrequency(term);
+      return { term, score: frequency * Math.log(1 + (bm25.docCount - df + 0.5) / (df + 0.5)) };
+    })
+    .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+    .slice(0, count)
+    .map(item => item.term);
+}
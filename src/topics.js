@@ -0,0 +1,255 @@
+import { openIndex } from './searcher.js';
+import { tokenize, indexAnalysis } from './analysis.js';
+import { entryVectors, dot } from './dedupe.js';
+import { mulberry32 } from './hnsw.js';
+import { createLineWriter } from './line-writer.js';
+
+/**
+ * Groups the entries of an index into topics. Entry embeddings (the mean of
+ * their passages) are clustered with spherical k-means, which compares them by
+ * cosine similarity. Without a given k, every k from 2 to `maxK` is tried and
+ * the one with the best silhouette is kept. Each topic is labelled with the
+ * terms that are most frequent in it and rare elsewhere (TF-IDF).
+ * @param {Object} options - Options
+ * @param {string} [options.indexDir='./index'] - Directory containing the index
+ * @param {number} [options.k] - Number of topics (default: estimated)
+ * @param {number} [options.maxK=20] - Largest number of topics tried when estimating
+ * @param {number} [options.terms=5] - Label terms per topic
+ * @param {number} [options.representatives=3] - Entries closest to the centre shown per topic
+ * @param {number} [options.iterations=50] - Maximum k-means iterations
+ * @param {number} [options.seed=42] - Seed for picking the initial centres, so runs are reproducible
+ * @param {string} [options.output] - Write the original entries to this JSONL file with their topic
+ * @param {string} [options.field='topic'] - Field holding the topic in the output file
+ * @param {boolean|number} [options.preload] - Whether to load vectors into memory up front
+ * @returns {Promise<Object>} `indexDir`, `entries` (count), `k`, `estimated` (whether k was
+ *   estimated), `silhouette` (from -1 to 1, higher for better separated topics) and `topics`,
+ *   largest first, each with its `topic` number, `size`, `label`, `terms` ({term, score}) and
+ *   `representatives` ({id, title, similarity}); with an output file also `written`
+ */
+export async function findTopics(options = {}) {
+  const {
+    indexDir = './index',
+    k,
+    maxK = 20,
+    terms = 5,
+    representatives = 3,
+    iterations = 50,
+    seed = 42,
+    output,
+    field = 'topic',
+    preload
+  } = options;
+
+  if (k !== undefined && (!Number.isInteger(k) || k < 1)) {
+    throw new Error(`k must be a positive integer, got ${k}`);
+  }
+  if (!Number.isInteger(maxK) || maxK < 2) {
+    throw new Error(`maxK must be an integer of at least 2, got ${maxK}`);
+  }
+
+  const handle = await openIndex(indexDir, { preload });
+  try {
+    const { entries } = handle;
+    if (entries.length === 0) {
+      throw new Error(`Index in ${indexDir} has no entries`);
+    }
+    const vectors = entryVectors(handle);
+
+    let best;
+    if (k !== undefined) {
+      best = kMeans(vectors, Math.min(k, vectors.length), { iterations, seed });
+    } else {
+      for (let candidate = 2; candidate <= Math.min(maxK, vectors.length - 1); candidate++) {
+        const clustering = kMeans(vectors, candidate, { iterations, seed });
+        if (!best || clustering.silhouette > best.silhouette) best = clustering;
+      }
+      best = best || kMeans(vectors, 1, { iterations, seed });
+    }
+
+    // Number topics from the largest down
+    const members = best.centroids.map(() => []);
+    best.assignments.forEach((cluster, i) => members[cluster].push(i));
+    const order = members.map((_, cluster) => cluster).filter(cluster => members[cluster].length > 0)
+      .sort((a, b) => members[b].length - members[a].length || a - b);
+    const topicOf = new Map(order.map((cluster, topic) => [cluster, topic]));
+
+    const labels = labelClusters(entries, order.map(cluster => members[cluster]), terms, indexAnalysis(handle.metadata));
+    const topics = order.map((cluster, topic) => {
+      const closest = members[cluster]
+        .map(i => ({ i, similarity: dot(vectors[i], best.centroids[cluster]) }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, representatives);
+      return {
+        topic,
+        size: members[cluster].length,
+        label: labels[topic].map(item => item.term).join(', '),
+        terms: labels[topic],
+        representatives: closest.map(({ i, similarity }) => ({
+          id: entries[i].id,
+          title: entries[i].title,
+          similarity: Math.min(similarity, 1)
+        }))
+      };
+    });
+
+    const report = {
+      indexDir,
+      entries: entries.length,
+      k: topics.length,
+      estimated: k === undefined,
+      silhouette: best.silhouette,
+      topics
+    };
+
+    if (output) {
+      const writer = createLineWriter(output);
+      entries.forEach((entry, i) => {
+        writer.write(JSON.stringify({ ...entry.originalEntry, [field]: topicOf.get(best.assignments[i]) }) + '\n');
+      });
+      writer.close();
+      report.written = entries.length;
+    }
+
+    return report;
+  } finally {
+    handle.close();
+  }
+}
+
+/**
+ * Clusters unit vectors with spherical k-means, starting from centres picked
+ * by k-means++
+ * @param {Float32Array[]} vectors - Unit vectors
+ * @param {number} k - Number of clusters
+ * @param {Object} options - Options
+ * @param {number} options.iterations - Maximum iterations
+ * @param {number} options.seed - Random seed
+ * @returns {{centroids: Float32Array[], assignments: Int32Array, silhouette: number}} The clustering
+ */
+function kMeans(vectors, k, { iterations, seed }) {
+  const random = mulberry32(seed);
+  const centroids = [vectors[Math.floor(random() * vectors.length)]];
+
+  // k-means++: later centres are picked with a probability growing with their distance
+  const distances = vectors.map(vector => 1 - dot(vector, centroids[0]));
+  while (centroids.length < k) {
+    const total = distances.reduce((sum, distance) => sum + Math.max(distance, 0), 0);
+    let target = random() * total;
+    let next = distances.findIndex(distance => (target -= Math.max(distance, 0)) <= 0);
+    if (next < 0 || total === 0) next = Math.floor(random() * vectors.length);
+    centroids.push(vectors[next]);
+    vectors.forEach((vector, i) => {
+      distances[i] = Math.min(distances[i], 1 - dot(vector, vectors[next]));
+    });
+  }
+
+  const assignments = new Int32Array(vectors.length).fill(-1);
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let changed = false;
+    vectors.forEach((vector, i) => {
+      const cluster = nearest(vector, centroids).index;
+      if (cluster !== assignments[i]) {
+        assignments[i] = cluster;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+
+    for (let cluster = 0; cluster < k; cluster++) {
+      const sum = new Float32Array(vectors[0].length);
+      let count = 0;
+      vectors.forEach((vector, i) => {
+        if (assignments[i] !== cluster) return;
+        count++;
+        for (let d = 0; d < vector.length; d++) sum[d] += vector[d];
+      });
+      // An empty cluster keeps its centre
+      if (count === 0) continue;
+      const norm = Math.sqrt(dot(sum, sum)) || 1;
+      centroids[cluster] = sum.map(value => value / norm);
+    }
+  }
+
+  return { centroids, assignments, silhouette: silhouette(vectors, centroids, assignments) };
+}
+
+/**
+ * Finds the most similar of a list of unit vectors
+ * @param {ArrayLike<number>} vector - Unit vector
+ * @param {Array<ArrayLike<number>>} centroids - Unit vectors to compare with
+ * @param {number} [skip=-1] - Index to leave out
+ * @returns {{index: number, similarity: number}} The most similar
+ */
+function nearest(vector, centroids, skip = -1) {
+  let best = { index: -1, similarity: -Infinity };
+  centroids.forEach((centroid, index) => {
+    if (index === skip) return;
+    const similarity = dot(vector, centroid);
+    if (similarity > best.similarity) best = { index, similarity };
+  });
+  return best;
+}
+
+/**
+ * Simplified silhouette of a clustering: for each vector, how much nearer it
+ * is to its own centre than to the next nearest, averaged. Measured against
+ * centres rather than every other vector, so it stays cheap on large indexes.
+ * Vectors alone in their cluster score 0, so splitting off outliers doesn't pay.
+ * @param {Float32Array[]} vectors - Unit vectors
+ * @param {Float32Array[]} centroids - Cluster centres
+ * @param {Int32Array} assignments - Cluster of each vector
+ * @returns {number} Mean silhouette, from -1 to 1 (0 for a single cluster)
+ */
+function silhouette(vectors, centroids, assignments) {
+  if (centroids.length < 2) return 0;
+  const sizes = new Int32Array(centroids.length);
+  for (const cluster of assignments) sizes[cluster]++;
+
+  let sum = 0;
+  vectors.forEach((vector, i) => {
+    // As in the full silhouette, an entry alone in its cluster counts as 0
+    if (sizes[assignments[i]] === 1) return;
+    const own = 1 - dot(vector, centroids[assignments[i]]);
+    const other = 1 - nearest(vector, centroids, assignments[i]).similarity;
+    const spread = Math.max(own, other);
+    sum += spread > 0 ? (other - own) / spread : 0;
+  });
+  return sum / vectors.length;
+}
+
+/**
+ * Picks the most distinctive terms of each cluster: the share of the
+ * cluster's entries containing a term, times the term's inverse document
+ * frequency over the whole index
+ * @param {Array<Object>} entries - Index entries
+ * @param {Array<number[]>} clusters - Entry positions per cluster
+ * @param {number} count - Terms per cluster
+ * @param {Object} analysis - Analysis settings of the index (see indexAnalysis)
+ * @returns {Array<Array<{term: string, score: number}>>} Terms per cluster, best first
+ */
+function labelClusters(entries, clusters, count, { language, config }) {
+  const termSets = entries.map(entry =>
+    new Set(tokenize(`${entry.title || ''} ${entry.content || ''}`, entry.language || language, config)));
+  const documentFrequency = new Map();
+  for (const terms of termSets) {
+    for (const term of terms) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return clusters.map(positions => {
+    const clusterFrequency = new Map();
+    for (const i of positions) {
+      for (const term of termSets[i]) {
+        clusterFrequency.set(term, (clusterFrequency.get(term) || 0) + 1);
+      }
+    }
+    return [...clusterFrequency]
+      .map(([term, frequency]) => ({
+        term,
+        score: (frequency / positions.length) * Math.log(entries.length / documentFrequency.get(term))
+      }))
+      .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+      .slice(0, count);
+  });
+}
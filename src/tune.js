@@ -0,0 +1,205 @@
+import fs from 'fs';
+import { openIndex, collectCandidates } from './searcher.js';
+import { fuseScores, validateFusion, RRF_K } from './fusion.js';
+import { METRICS, resolveJudgments, resultId, measureRanking, averageMetrics } from './evaluate.js';
+
+/**
+ * Values tried for each tuned setting. Only the strategies that weigh the
+ * same candidates are tuned; `keyword` and `vector` rank different ones.
+ * @type {{semanticWeight: number[], titleWeight: number[], threshold: number[], fusion: string[], rrfK: number[]}}
+ */
+export const TUNING_GRID = {
+  semanticWeight: [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1],
+  titleWeight: [0, 0.1, 0.2, 0.3, 0.4, 0.5],
+  threshold: [0, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95],
+  fusion: ['linear', 'rrf', 'zscore', 'minmax'],
+  rrfK: [10, 30, 60, 100]
+};
+
+/**
+ * Settings search uses when none are given, measured as the baseline
+ * @type {{semanticWeight: number, titleWeight: number, threshold: number, fusion: string}}
+ */
+export const SEARCH_DEFAULTS = { semanticWeight: 0.7, titleWeight: 0.3, threshold: 0.5, fusion: 'linear' };
+
+// Settings a saved search configuration may hold
+const CONFIG_KEYS = ['semanticWeight', 'titleWeight', 'threshold', 'fusion', 'rrfK'];
+
+/**
+ * Finds the search settings that rank a judgment set best. Each judged query
+ * is searched once; its candidates are then fused, cut at the threshold and
+ * measured for every combination in the grid. A threshold only removes
+ * results, so among settings that score the same the highest threshold wins,
+ * then the weights closest to the defaults.
+ * @param {Array<Object>|string} judgments - Judgments in any form loadJudgments accepts, or a path
+ *   to a judgments file
+ * @param {Object} options - Tuning options; other options are passed to collectCandidates
+ * @param {string} [options.indexDir='./index'] - Directory containing the index
+ * @param {number} [options.k=10] - Number of results judged per query
+ * @param {string} [options.metric='ndcg'] - Metric to maximize (see METRICS)
+ * @param {string} [options.idField] - Path of the original entry holding the ids used in the
+ *   judgments (default: the index entry id)
+ * @param {Object} [options.grid] - Values to try instead of those in TUNING_GRID, per setting
+ * @param {number} [options.top=10] - Number of best settings to report
+ * @returns {Promise<Object>} `indexDir`, `k`, `metric`, `queries` (count), `trials` (settings
+ *   measured), `best` and `baseline` (each with its `config`, metric `value` and all `metrics`)
+ *   and `top` (the best settings, best first)
+ */
+export async function tuneSearch(judgments, options = {}) {
+  const {
+    indexDir = './index',
+    k = 10,
+    metric = 'ndcg',
+    idField,
+    grid = {},
+    top = 10,
+    preload,
+    ...searchOptions
+  } = options;
+  const judged = resolveJudgments(judgments);
+
+  if (!Number.isInteger(k) || k < 1) {
+    throw new Error(`k must be a positive integer, got ${k}`);
+  }
+  if (!METRICS.includes(metric)) {
+    throw new Error(`Unknown metric '${metric}' (available: ${METRICS.join(', ')})`);
+  }
+  const values = { ...TUNING_GRID, ...grid };
+  for (const fusion of values.fusion) {
+    validateFusion(fusion);
+    if (!TUNING_GRID.fusion.includes(fusion)) {
+      throw new Error(`Fusion '${fusion}' can't be tuned (available: ${TUNING_GRID.fusion.join(', ')})`);
+    }
+  }
+  const thresholds = [...values.threshold].sort((a, b) => a - b);
+
+  // The candidates don't depend on the tuned settings, so each query is searched once
+  const handle = await openIndex(indexDir, { preload });
+  const queries = [];
+  try {
+    for (const { query, relevant } of judged) {
+      const { scored } = await collectCandidates(handle, query, { ...searchOptions, fusion: 'linear', limit: k });
+      queries.push({
+        relevant,
+        signals: scored.map(item => item.signal),
+        ids: scored.map(item => resultId(item.result, idField))
+      });
+    }
+  } finally {
+    handle.close();
+  }
+
+  const trials = [];
+  for (const config of expandGrid(values)) {
+    trials.push(...measureThresholds(queries, config, thresholds, k));
+  }
+  const distance = ({ config }) => Math.abs(config.semanticWeight - SEARCH_DEFAULTS.semanticWeight) +
+    Math.abs(config.titleWeight - SEARCH_DEFAULTS.titleWeight);
+  trials.sort((a, b) => b.metrics[metric] - a.metrics[metric] ||
+    b.config.threshold - a.config.threshold ||
+    distance(a) - distance(b));
+
+  const describe = trial => ({ config: trial.config, value: trial.metrics[metric], metrics: trial.metrics });
+  const { threshold, ...defaults } = SEARCH_DEFAULTS;
+  const [baseline] = measureThresholds(queries, defaults, [threshold], k);
+
+  return {
+    indexDir,
+    k,
+    metric,
+    queries: queries.length,
+    trials: trials.length,
+    best: describe(trials[0]),
+    baseline: describe(baseline),
+    top: trials.slice(0, top).map(describe)
+  };
+}
+
+/**
+ * Lists every combination of the grid's weights and fusion settings; the
+ * rank constant only varies for `rrf`
+ * @param {Object} values - Values per setting
+ * @returns {Array<Object>} Settings without a threshold
+ */
+function expandGrid(values) {
+  const configs = [];
+  for (const fusion of values.fusion) {
+    for (const rrfK of fusion === 'rrf' ? values.rrfK : [undefined]) {
+      for (const semanticWeight of values.semanticWeight) {
+        for (const titleWeight of values.titleWeight) {
+          configs.push({ semanticWeight, titleWeight, fusion, ...(rrfK !== undefined && { rrfK }) });
+        }
+      }
+    }
+  }
+  return configs;
+}
+
+/**
+ * Measures one fusion setting at every threshold. Results are ranked once;
+ * each threshold keeps the part of the ranking at or above it.
+ * @param {Array<Object>} queries - Per query: its `relevant` grades, candidate `signals` and `ids`
+ * @param {Object} config - Weights and fusion settings
+ * @param {number[]} thresholds - Thresholds to measure
+ * @param {number} k - Cutoff
+ * @returns {Array<{config: Object, metrics: Object<string, number>}>} One trial per threshold
+ */
+function measureThresholds(queries, config, thresholds, k) {
+  const perThreshold = thresholds.map(() => []);
+  for (const { relevant, signals, ids } of queries) {
+    const scores = fuseScores(signals, { ...config, rrfK: config.rrfK ?? RRF_K });
+    const ranked = scores.map((score, i) => ({ score, id: ids[i] })).sort((a, b) => b.score - a.score);
+
+    thresholds.forEach((threshold, t) => {
+      const retrieved = [];
+      for (const { score, id } of ranked) {
+        if (score < threshold || retrieved.length === k) break;
+        retrieved.push(id);
+      }
+      perThreshold[t].push(measureRanking(retrieved, relevant, k));
+    });
+  }
+
+  return thresholds.map((threshold, t) => ({
+    config: { ...config, threshold },
+    metrics: averageMetrics(perThreshold[t])
+  }));
+}
+
+/**
+ * Saves search settings, e.g. the best found by tuneSearch, for search to load
+ * @param {string} filePath - Path to write
+ * @param {Object} config - Settings (see CONFIG_KEYS); other keys are dropped
+ * @param {Object} [details] - What the settings were tuned for, saved under `tuning`
+ */
+export function saveSearchConfig(filePath, config, details) {
+  const saved = Object.fromEntries(CONFIG_KEYS.filter(key => config[key] !== undefined).map(key => [key, config[key]]));
+  fs.writeFileSync(filePath, JSON.stringify({ ...saved, ...(details && { tuning: details }) }, null, 2) + '\n');
+}
+
+/**
+ * Loads search settings saved by saveSearchConfig
+ * @param {string} filePath - Path to the settings file
+ * @returns {Object} The settings found in the file: `semanticWeight`, `titleWeight`,
+ *   `threshold`, `fusion` and `rrfK`
+ */
+export function loadSearchConfig(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read search settings from ${filePath}: ${error.message}`);
+  }
+
+  const config = {};
+  for (const key of CONFIG_KEYS) {
+    if (raw[key] === undefined) continue;
+    if (key === 'fusion') {
+      validateFusion(raw.fusion);
+    } else if (typeof raw[key] !== 'number' || !Number.isFinite(raw[key])) {
+      throw new Error(`Search setting '${key}' in ${filePath} must be a number`);
+    }
+    config[key] = raw[key];
+  }
+  return config;
+}
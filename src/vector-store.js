@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+
+// Header file describing the binary vector matrices of an index
+const HEADER_FILE = 'vectors.json';
+
+// Matrices larger than this are read row by row instead of loaded up front
+const DEFAULT_PRELOAD_LIMIT = 512 * 1024 * 1024;
+
+/**
+ * Creates a writer that appends vectors to one binary Float32 file per matrix
+ * (e.g. 'content' and 'title'). Rows are written as they arrive, so callers
+ * never need to hold every vector in memory.
+ * @param {string} dir - Index directory
+ * @param {string[]} names - Names of the matrices to write
+ * @returns {Object} Writer with `append(name, vector)` and `close()`
+ */
+export function createVectorWriter(dir, names) {
+  const matrices = {};
+  let dimension = null;
+
+  for (const name of names) {
+    const file = `${name}.f32`;
+    matrices[name] = {
+      file,
+      fd: fs.openSync(path.join(dir, file), 'w'),
+      rows: 0
+    };
+  }
+
+  return {
+    /**
+     * Appends a vector as the next row of a matrix
+     * @param {string} name - Matrix name
+     * @param {ArrayLike<number>} vector - The vector
+     */
+    append(name, vector) {
+      const matrix = matrices[name];
+      if (!matrix) {
+        throw new Error(`Unknown vector matrix: ${name}`);
+      }
+
+      dimension = dimension || vector.length;
+      if (vector.length !== dimension) {
+        throw new Error(`Vector has ${vector.length} dimensions, expected ${dimension}`);
+      }
+
+      const row = Float32Array.from(vector);
+      fs.writeSync(matrix.fd, Buffer.from(row.buffer, row.byteOffset, row.byteLength));
+      matrix.rows++;
+    },
+
+    /**
+     * Closes the matrix files and writes the header
+     * @returns {Object} The written header
+     */
+    close() {
+      const header = {
+        version: 1,
+        dtype: 'float32',
+        dimension,
+        matrices: {}
+      };
+
+      for (const [name, matrix] of Object.entries(matrices)) {
+        fs.closeSync(matrix.fd);
+        header.matrices[name] = { file: matrix.file, rows: matrix.rows };
+      }
+
+      fs.writeFileSync(path.join(dir, HEADER_FILE), JSON.stringify(header, null, 2));
+      return header;
+    }
+  };
+}
+
+/**
+ * Checks whether an index directory has binary vector storage
+ * @param {string} dir - Index directory
+ * @returns {boolean} True if a vector header exists
+ */
+export function hasVectorStore(dir) {
+  return fs.existsSync(path.join(dir, HEADER_FILE));
+}
+
+/**
+ * Opens the vectors of an index for reading.
+ * Small matrices are loaded into memory at once; larger ones are read row by
+ * row from disk on demand. Indexes from before binary storage keep their
+ * vectors inside index.json; pass the parsed index to read those.
+ * @param {string} dir - Index directory
+ * @param {Object} [options] - Options
+ * @param {Object} [options.index] - Parsed index.json, used for legacy indexes
+ * @param {boolean|number} [options.preload] - true/false to force loading,
+ *   or the size limit in bytes under which matrices are loaded up front
+ * @returns {Object} Vector store with `dimension`, `has(name)`, `rows(name)`, `get(name, row)` and `close()`
+ */
+export function openVectorStore(dir, options = {}) {
+  if (!hasVectorStore(dir)) {
+    if (options.index && options.index.entries.some(entry => entry.contentEmbedding)) {
+      return createLegacyVectorStore(options.index);
+    }
+    throw new Error(`No vectors found in ${dir}`);
+  }
+
+  const header = JSON.parse(fs.readFileSync(path.join(dir, HEADER_FILE), 'utf8'));
+  if (header.dtype !== 'float32') {
+    throw new Error(`Unsupported vector type: ${header.dtype}`);
+  }
+
+  const { dimension } = header;
+  const rowBytes = dimension * Float32Array.BYTES_PER_ELEMENT;
+  const preloadLimit = options.preload === true ? Infinity
+    : options.preload === false ? 0
+    : options.preload || DEFAULT_PRELOAD_LIMIT;
+
+  const matrices = {};
+  for (const [name, { file, rows }] of Object.entries(header.matrices)) {
+    const filePath = path.join(dir, file);
+    const size = rows * rowBytes;
+
+    if (size <= preloadLimit) {
+      const buffer = fs.readFileSync(filePath);
+      // Copy so the Float32Array view is correctly aligned
+      const data = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + size));
+      matrices[name] = { rows, data };
+    } else {
+      matrices[name] = { rows, fd: fs.openSync(filePath, 'r') };
+    }
+  }
+
+  return {
+    dimension,
+
+    has(name) {
+      return Boolean(matrices[name]);
+    },
+
+    rows(name) {
+      return matrices[name] ? matrices[name].rows : 0;
+    },
+
+    /**
+     * Gets one row of a matrix
+     * @param {string} name - Matrix name
+     * @param {number} row - Row number (the entry's position in the index)
+     * @returns {Float32Array} The vector
+     */
+    get(name, row) {
+      const matrix = matrices[name];
+      if (!matrix || row < 0 || row >= matrix.rows) {
+        throw new Error(`Vector ${name}[${row}] not found`);
+      }
+
+      if (matrix.data) {
+        return matrix.data.subarray(row * dimension, (row + 1) * dimension);
+      }
+
+      const buffer = Buffer.alloc(rowBytes);
+      fs.readSync(matrix.fd, buffer, 0, rowBytes, row * rowBytes);
+      return new Float32Array(buffer.buffer, buffer.byteOffset, dimension);
+    },
+
+    close() {
+      for (const matrix of Object.values(matrices)) {
+        if (matrix.fd !== undefined) {
+          fs.closeSync(matrix.fd);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Wraps the inline embeddings of a legacy index.json in the vector store interface
+ * @param {Object} index - Parsed legacy index
+ * @returns {Object} Vector store
+ */
+function createLegacyVectorStore(index) {
+  const fields = { content: 'contentEmbedding', title: 'titleEmbedding' };
+  const first = index.entries.find(entry => entry.contentEmbedding);
+
+  return {
+    dimension: first.contentEmbedding.length,
+    has(name) {
+      return index.entries.some(entry => entry[fields[name]]);
+    },
+    rows(name) {
+      return this.has(name) ? index.entries.length : 0;
+    },
+    get(name, row) {
+      const vector = index.entries[row] && index.entries[row][fields[name]];
+      if (!vector) {
+        throw new Error(`Vector ${name}[${row}] not found`);
+      }
+      return vector;
+    },
+    close() {}
+  };
+}